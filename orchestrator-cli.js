@@ -12,12 +12,81 @@ import { autoCommit } from './src/git-utils.js';
 import { getCurrentProject, setCurrentProject, requireCurrentProject, validateProjectExists, getProjectStatus } from './src/project-manager.js';
 import { log, logSuccess, logError, logSection, logListItem, logCheckbox, EMOJI } from './src/console-utils.js';
 import { exitWithError, validateArgs, wrapAsync, ERROR_MESSAGES } from './src/error-handlers.js';
+import { formatUsage } from './src/usage-tracker.js';
 
 
+/**
+ * Strip global flags from the arguments and apply them
+ * --record / --replay route every agent call through the project cassette
+ * --dry-run / --interactive / --force are returned as orchestrator options
+ */
+function applyGlobalFlags(rawArgs) {
+  const args = [];
+  const options = {};
+  
+  for (const arg of rawArgs) {
+    if (arg === '--record' || arg === '--replay') {
+      process.env.PBT_CASSETTE_MODE = arg.slice(2);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--interactive') {
+      options.interactive = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      args.push(arg);
+    }
+  }
+  
+  return { args, options };
+}
+
+// edit-backlog flag -> backlog field
+const BACKLOG_EDIT_FLAGS = {
+  '--title': 'title',
+  '--description': 'description',
+  '--priority': 'priority',
+  '--effort': 'estimated_effort',
+  '--criteria': 'acceptance_criteria',
+  '--depends': 'dependencies'
+};
+
+/**
+ * Read edit-backlog flags into backlog field changes
+ * --criteria may be repeated (one acceptance criterion each); --depends takes
+ * comma-separated ids ("" clears the dependencies)
+ * @returns {{args: string[], changes: Object}|null} Null when a flag has no value
+ */
+function parseBacklogEditFlags(rawArgs) {
+  const args = [];
+  const changes = {};
+  
+  for (let i = 0; i < rawArgs.length; i++) {
+    const field = BACKLOG_EDIT_FLAGS[rawArgs[i]];
+    if (!field) {
+      args.push(rawArgs[i]);
+      continue;
+    }
+    
+    const value = rawArgs[++i];
+    if (value === undefined) return null;
+    
+    if (field === 'acceptance_criteria') {
+      changes[field] = [...(changes[field] || []), value];
+    } else if (field === 'dependencies') {
+      changes[field] = value.split(',').map(id => id.trim()).filter(Boolean).map(Number);
+    } else {
+      changes[field] = value;
+    }
+  }
+  
+  return { args, changes };
+}
+
 // Main command handler
 const main = wrapAsync(async () => {
   const command = process.argv[2];
-  const args = process.argv.slice(3);
+  const { args, options } = applyGlobalFlags(process.argv.slice(3));
 
   switch (command) {
     case 'create-project':
@@ -43,31 +112,53 @@ const main = wrapAsync(async () => {
     case 'backlog':
       validateArgs(args, 1, ERROR_MESSAGES.COMMAND_USAGE.BACKLOG);
       const currentProject = requireCurrentProject();
-      const backlogDescription = args.join(' ');
+      const backlogDescription = args.filter(arg => arg !== '--split').join(' ');
       const backlogProjectPath = getProjectPath(currentProject);
       
       log(EMOJI.clipboard, `Adding new backlog item to ${currentProject}...`);
       
       // Commit current state before starting new backlog
       log(EMOJI.package, 'Committing current state...');
-      await autoCommit(backlogProjectPath, `Before backlog: ${backlogDescription.substring(0, 50)}...`);
+      await autoCommit(backlogProjectPath, `Before backlog: ${backlogDescription.substring(0, 50)}...`, { agentRole: 'Orchestrator' });
       
       console.log('\nAdding backlog item...\n');
-      await runOrchestrator(currentProject, `Add backlog: ${backlogDescription}`, 'add-backlog');
+      await runOrchestrator(currentProject, `Add backlog: ${backlogDescription}`, 'add-backlog', { ...options, split: args.includes('--split') });
       break;
 
     case 'process-backlog':
       const processProject = requireCurrentProject();
-      const backlogId = args[0];
-      if (!backlogId) {
+      const parallelIndex = args.indexOf('--parallel');
+      const parallel = parallelIndex >= 0 ? parseInt(args[parallelIndex + 1]) : null;
+      const backlogIds = args.filter((arg, i) => parallelIndex < 0 || (i !== parallelIndex && i !== parallelIndex + 1));
+      const backlogId = backlogIds[0];
+      if (parallelIndex >= 0 && !(parallel > 0)) {
+        console.error('Usage: npm run process-backlog [ids] [--parallel N]');
+        process.exit(1);
+      }
+      if (parallel || backlogIds.length > 1) {
+        log(EMOJI.clipboard, `Processing backlog items ${backlogIds.length > 0 ? backlogIds.map(id => `#${id}`).join(', ') : '(all unfinished)'} in parallel...`);
+        await runOrchestrator(processProject, `Process backlog items ${backlogIds.join(', ') || 'in parallel'}`, 'process-backlog', { ...options, backlogIds, parallel });
+      } else if (!backlogId) {
         log(EMOJI.clipboard, 'Processing next backlog item...');
-        await runOrchestrator(processProject, 'Process next backlog item', 'process-backlog');
+        await runOrchestrator(processProject, 'Process next backlog item', 'process-backlog', options);
       } else {
         log(EMOJI.clipboard, `Processing backlog item #${backlogId}...`);
-        await runOrchestrator(processProject, `Process backlog item #${backlogId}`, 'process-backlog', { backlogId });
+        await runOrchestrator(processProject, `Process backlog item #${backlogId}`, 'process-backlog', { ...options, backlogId });
       }
       break;
 
+    case 'process-all':
+      const allProject = requireCurrentProject();
+      const maxFailuresIndex = args.indexOf('--max-failures');
+      const maxFailures = maxFailuresIndex >= 0 ? parseInt(args[maxFailuresIndex + 1]) : null;
+      if (maxFailuresIndex >= 0 && !(maxFailures > 0)) {
+        console.error('Usage: npm run process-all [--max-failures N]');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, 'Processing all backlog items...');
+      await runOrchestrator(allProject, 'Process all backlog items', 'process-all', { ...options, maxFailures });
+      break;
+
     case 'list-backlogs':
     case 'show-backlogs':
       const listProject = getCurrentProject();
@@ -94,6 +185,80 @@ const main = wrapAsync(async () => {
       await runOrchestrator(resetProject, `Reset backlog #${backlogIdToReset}`, 'reset-backlog', { backlogId: backlogIdToReset });
       break;
 
+    case 'edit-backlog':
+      const editProject = requireCurrentProject();
+      const edit = parseBacklogEditFlags(args);
+      if (!edit || edit.args.length !== 1 || Object.keys(edit.changes).length === 0) {
+        console.error('Usage: npm run edit-backlog -- <id> [--title T] [--description D] [--priority P] [--effort E] [--criteria C]... [--depends 1,2]');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Editing backlog #${edit.args[0]}...`);
+      await runOrchestrator(editProject, `Edit backlog #${edit.args[0]}`, 'edit-backlog', { backlogId: edit.args[0], changes: edit.changes });
+      break;
+
+    case 'set-priority':
+      const priorityProject = requireCurrentProject();
+      if (args.length !== 2) {
+        console.error('Usage: npm run set-priority <id> <high|medium|low>');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Setting priority of backlog #${args[0]} to ${args[1]}...`);
+      await runOrchestrator(priorityProject, `Set priority of backlog #${args[0]}`, 'set-priority', { backlogId: args[0], priority: args[1] });
+      break;
+
+    case 'delete-backlog':
+      const deleteProject = requireCurrentProject();
+      const deleteIds = args.filter(arg => arg !== '--rewire');
+      if (deleteIds.length !== 1) {
+        console.error('Usage: npm run delete-backlog -- <id> [--rewire]');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Deleting backlog #${deleteIds[0]}...`);
+      await runOrchestrator(deleteProject, `Delete backlog #${deleteIds[0]}`, 'delete-backlog', { backlogId: deleteIds[0], rewire: args.includes('--rewire') });
+      break;
+
+    case 'move-backlog':
+      const moveProject = requireCurrentProject();
+      const position = ['--before', '--after'].find(flag => args.includes(flag));
+      const targetId = position ? args[args.indexOf(position) + 1] : null;
+      if (!targetId || args.length !== 3 || args[0] === position) {
+        console.error('Usage: npm run move-backlog -- <id> --before <id> (or --after <id>)');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Moving backlog #${args[0]} ${position.slice(2)} #${targetId}...`);
+      await runOrchestrator(moveProject, `Move backlog #${args[0]}`, 'move-backlog', { backlogId: args[0], targetId, position: position.slice(2) });
+      break;
+
+    case 'split-backlog':
+      const splitProject = requireCurrentProject();
+      if (args.length !== 1) {
+        console.error('Usage: npm run split-backlog <id>');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Splitting backlog #${args[0]}...`);
+      await runOrchestrator(splitProject, `Split backlog #${args[0]}`, 'split-backlog', { ...options, backlogId: args[0] });
+      break;
+
+    case 'merge-backlogs':
+      const mergeProject = requireCurrentProject();
+      const titleIndex = args.indexOf('--title');
+      const mergeTitle = titleIndex >= 0 ? args[titleIndex + 1] : null;
+      const mergeIds = titleIndex >= 0 ? args.filter((arg, i) => i !== titleIndex && i !== titleIndex + 1) : args;
+      if (mergeIds.length < 2 || (titleIndex >= 0 && !mergeTitle?.trim())) {
+        console.error('Usage: npm run merge-backlogs -- <id> <id>... [--title T]');
+        process.exit(1);
+      }
+      log(EMOJI.clipboard, `Merging backlogs ${mergeIds.map(id => `#${id}`).join(', ')}...`);
+      await runOrchestrator(mergeProject, `Merge backlogs ${mergeIds.join(', ')}`, 'merge-backlogs', { backlogIds: mergeIds, title: mergeTitle });
+      break;
+
+    case 'backlog-graph':
+      const graphProject = requireCurrentProject();
+      const format = args.includes('--dot') ? 'dot' : args.includes('--ascii') ? 'ascii' : null;
+      log(EMOJI.clipboard, 'Drawing backlog dependencies...');
+      await runOrchestrator(graphProject, 'Backlog graph', 'backlog-graph', { format });
+      break;
+
     case 'help':
       logSection('Plan-Build-Test Orchestrator Commands');
       
@@ -101,30 +266,55 @@ const main = wrapAsync(async () => {
       logListItem('npm run create-project <name> <description>  - Create new project with backlogs');
       logListItem('npm run change-project <name>                - Switch to existing project');
       logListItem('npm run status                               - Show current project status');
+      logListItem('npm run changelog                            - Write CHANGELOG.md from logs and commits');
+      logListItem('npm run map [path]                           - Show the code map (exports, routes, ids, classes)');
       logListItem('npm run start-project                        - Start the web server\n');
       
       console.log('Backlog Management:');
       logListItem('npm run show-backlogs                        - List all backlogs with status');
       logListItem('npm run process-backlog [id]                 - Work on next (or specific) backlog');
-      logListItem('npm run backlog <description>                - Add new backlog item');
+      logListItem('npm run process-backlog <ids> [--parallel N] - Build several backlogs at once in git worktrees');
+      logListItem('npm run process-all [--max-failures N]       - Build every backlog in order, unattended');
+      logListItem('npm run backlog <description> [--split]      - Add a backlog item described by the Architect');
+      logListItem('npm run edit-backlog -- <id> --title T ...   - Edit title, description, priority, effort, criteria, dependencies');
+      logListItem('npm run set-priority <id> <high|medium|low>  - Change a backlog\'s priority');
+      logListItem('npm run move-backlog -- <id> --before <id>   - Change the order backlogs are built in');
+      logListItem('npm run delete-backlog -- <id> [--rewire]    - Delete a backlog (--rewire: dependents take its dependencies)');
+      logListItem('npm run split-backlog <id>                   - Have the Architect split a backlog that is too large');
+      logListItem('npm run merge-backlogs <id> <id>...          - Merge small backlogs into one (add -- --title T to name it)');
+      logListItem('npm run backlog-graph [-- --dot|--ascii]     - Show dependencies, critical path and ready backlogs');
       logListItem('npm run reset-backlog <id>                   - Reset stuck backlog to pending\n');
       
       console.log('Development:');
       logListItem('npm run fix                                  - Fix failing tests');
       logListItem('npm run fix-tests                            - Update tests to match implementation');
-      logListItem('npm run refactor                             - Improve code quality\n');
+      logListItem('npm run task <description>                   - Plan and build a single task');
+      logListItem('npm run refactor                             - Improve code quality');
+      logListItem('npm run rollback [task|backlog] [id]         - Revert to a checkpoint (no args: list them)');
+      logListItem('npm run history [field] [value]              - Find commits by backlog, task, role or session\n');
+      
+      console.log('Proposals:');
+      logListItem('npm run list-proposals                       - List dry-run proposals');
+      logListItem('npm run apply-proposal <id> [--force]        - Apply a dry-run proposal\n');
+      
+      console.log('Global Flags:');
+      logListItem('--record                                     - Record agent calls to plan-build-test/cassette.json');
+      logListItem('--replay                                     - Replay agent calls from the cassette (offline)');
+      logListItem('--dry-run                                    - Preview changes as a diff without writing (process-backlog, task, fix, refactor, fix-tests)');
+      logListItem('--interactive                                - Review tasks, approve each file change and confirm before tests\n');
       
       console.log('Legend:');
       logListItem(`${EMOJI.success} Completed backlog`);
       logListItem('⬜ Pending backlog');
-      logListItem(`${EMOJI.loading} In progress\n`);
+      logListItem(`${EMOJI.loading} In progress`);
+      logListItem('⛔ Blocked (failed repeatedly in process-all)\n');
       break;
 
     case 'fix':
       const fixProject = requireCurrentProject();
       console.log(`\n🔧 Fixing issues in ${fixProject}...`);
       console.log('Running: Plan → Build → Test\n');
-      await runOrchestrator(fixProject, 'Fix failing tests and resolve issues', 'fix');
+      await runOrchestrator(fixProject, 'Fix failing tests and resolve issues', 'fix', options);
       break;
 
     case 'refactor':
@@ -133,12 +323,14 @@ const main = wrapAsync(async () => {
       
       log(EMOJI.recycle, `Refactoring ${refactorProject}...`);
       
-      // Commit current state before refactoring
-      log(EMOJI.package, 'Committing current state...');
-      await autoCommit(refactorProjectPath, 'Before refactor');
+      // Commit current state before refactoring (a dry run changes nothing)
+      if (!options.dryRun) {
+        log(EMOJI.package, 'Committing current state...');
+        await autoCommit(refactorProjectPath, 'Before refactor', { agentRole: 'Orchestrator' });
+      }
       
       console.log('\nRunning: Plan → Build → Test\n');
-      await runOrchestrator(refactorProject, 'Refactor and improve existing code', 'refactor');
+      await runOrchestrator(refactorProject, 'Refactor and improve existing code', 'refactor', options);
       break;
 
     case 'change-project':
@@ -231,10 +423,21 @@ const main = wrapAsync(async () => {
       if (projectStatus.tasks && projectStatus.tasks.length > 0) {
         console.log('Tasks:');
         projectStatus.tasks.forEach(task => {
-          logCheckbox(task.status === 'completed', `${task.number}. ${task.description}`, 1);
+          const taskUsage = projectStatus.usage.byTask[task.number];
+          const usageSuffix = taskUsage ? ` (${formatUsage(taskUsage)})` : '';
+          logCheckbox(task.status === 'completed', `${task.number}. ${task.description}${usageSuffix}`, 1);
         });
       }
       
+      // Show model usage rollups
+      console.log(`\nUsage: ${formatUsage(projectStatus.usage.total)}`);
+      Object.entries(projectStatus.usage.byRole).forEach(([role, roleUsage]) => {
+        logListItem(`${role}: ${formatUsage(roleUsage)}`);
+      });
+      Object.entries(projectStatus.usage.byBacklog).forEach(([backlogId, backlogUsage]) => {
+        logListItem(`Backlog #${backlogId}: ${formatUsage(backlogUsage)}`);
+      });
+      
       // Show recent task log entries
       const taskLogFile = join(statusProjectPath, 'task-log.txt');
       if (existsSync(taskLogFile)) {
@@ -252,7 +455,59 @@ const main = wrapAsync(async () => {
       const fixTestsProject = requireCurrentProject();
       log(EMOJI.magnifier, `Analyzing and fixing failing tests in ${fixTestsProject}...`);
       console.log('Running: Read Logs → Analyze Failures → Fix Tests\n');
-      await runOrchestrator(fixTestsProject, 'Fix failing tests to match implementation (do not change code)', 'fix-tests');
+      await runOrchestrator(fixTestsProject, 'Fix failing tests to match implementation (do not change code)', 'fix-tests', options);
+      break;
+
+    case 'task':
+      validateArgs(args, 1, ERROR_MESSAGES.COMMAND_USAGE.TASK);
+      const taskProject = requireCurrentProject();
+      const taskDescription = args.join(' ');
+      log(EMOJI.clipboard, `Adding task to ${taskProject}...`);
+      console.log('Running: Plan → Build → Test\n');
+      await runOrchestrator(taskProject, taskDescription, 'task', options);
+      break;
+
+    case 'apply-proposal':
+      validateArgs(args, 1, ERROR_MESSAGES.COMMAND_USAGE.APPLY_PROPOSAL);
+      const applyProject = requireCurrentProject();
+      await runOrchestrator(applyProject, `Apply proposal #${args[0]}`, 'apply-proposal', { ...options, proposalId: args[0] });
+      break;
+
+    case 'rollback':
+      const rollbackProject = requireCurrentProject();
+      const [rollbackTarget, rollbackId] = args;
+      await runOrchestrator(
+        rollbackProject,
+        rollbackTarget ? `Rollback ${args.join(' ')}` : 'List checkpoints',
+        'rollback',
+        { target: rollbackTarget, targetId: rollbackId }
+      );
+      break;
+
+    case 'history':
+      const historyProject = requireCurrentProject();
+      const [historyField, historyValue] = args;
+      await runOrchestrator(
+        historyProject,
+        historyField ? `History ${args.join(' ')}` : 'List commits',
+        'history',
+        { field: historyField, value: historyValue }
+      );
+      break;
+
+    case 'changelog':
+      const changelogProject = requireCurrentProject();
+      await runOrchestrator(changelogProject, 'Generate changelog', 'changelog');
+      break;
+
+    case 'map':
+      const mapProject = requireCurrentProject();
+      await runOrchestrator(mapProject, 'Show code map', 'map', { filter: args[0] });
+      break;
+
+    case 'list-proposals':
+      const proposalsProject = requireCurrentProject();
+      await runOrchestrator(proposalsProject, 'List proposals', 'list-proposals');
       break;
 
     default:
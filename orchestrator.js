@@ -9,6 +9,8 @@ import { PROJECTS_DIR } from './src/config.js';
 
 // Import ProjectState from new location
 import { ProjectState } from './src/project-state.js';
+import { getCassetteSettings, getActiveCassette } from './src/cassette.js';
+import { confirmTests, closePrompts } from './src/interactive.js';
 
 // Import all execution functions from new location
 import {
@@ -16,15 +18,24 @@ import {
   executeAddTask,
   executeFix,
   executeRefactor,
-  runTests
+  runTests,
+  serveProject
 } from './src/orchestrator-execution.js';
 
 // Import backlog commands from new location
 import {
   executeAddBacklog,
   executeProcessBacklog,
+  executeProcessBacklogs,
+  executeProcessAll,
   executeListBacklogs,
-  executeResetBacklog
+  executeResetBacklog,
+  executeEditBacklog,
+  executeDeleteBacklog,
+  executeMoveBacklog,
+  executeSetPriority,
+  executeSplitBacklog,
+  executeMergeBacklogs
 } from './src/commands/backlog-commands.js';
 
 // Import test commands from new location
@@ -32,6 +43,21 @@ import {
   executeFixTests
 } from './src/commands/test-commands.js';
 
+import { executeRollback } from './src/commands/rollback-commands.js';
+import { executeHistory } from './src/commands/history-commands.js';
+import { executeChangelog } from './src/commands/changelog-commands.js';
+import { executeMap } from './src/commands/map-commands.js';
+import { executeBacklogGraph } from './src/commands/backlog-graph-commands.js';
+
+import {
+  finishDryRun,
+  executeApplyProposal,
+  executeListProposals
+} from './src/commands/proposal-commands.js';
+
+// Commands that can be previewed with --dry-run
+const DRY_RUN_COMMANDS = ['process-backlog', 'fix', 'refactor', 'fix-tests', 'task'];
+
 // Export for backward compatibility
 export { loadTemplate, createPrompts } from './src/template-utils.js';
 import { createPrompts } from './src/template-utils.js';
@@ -60,6 +86,11 @@ export async function runOrchestrator(projectName, requirement, commandType = 'c
   
   // For create-project, delete existing folder if it exists
   if (commandType === 'create-project' && existsSync(projectPath)) {
+    // Load a replay cassette before its folder is removed
+    if (getCassetteSettings(projectState)?.mode === 'replay') {
+      getActiveCassette(projectState);
+    }
+    
     console.log('🗑️  Removing existing project folder...');
     rmSync(projectPath, { recursive: true, force: true });
     console.log('  ✓ Existing project removed\n');
@@ -78,6 +109,15 @@ export async function runOrchestrator(projectName, requirement, commandType = 'c
   projectState.appendTextLog(`Location: ${projectPath}`);
   projectState.appendTextLog(`${'='.repeat(80)}\n`);
 
+  if (options.dryRun) {
+    if (!DRY_RUN_COMMANDS.includes(commandType)) {
+      console.error(`❌ --dry-run is not supported for ${commandType} (supported: ${DRY_RUN_COMMANDS.join(', ')})`);
+      process.exit(1);
+    }
+    console.log('🔍 Dry run: agents will run, but no files or project history will be changed\n');
+    projectState.startProposal(commandType, requirement);
+  }
+
   try {
     let state = {
       tasks: [],
@@ -101,9 +141,18 @@ export async function runOrchestrator(projectName, requirement, commandType = 'c
         break;
         
       case 'process-backlog':
-        await executeProcessBacklog(projectState, requirement, state);
+        // Several ids or --parallel: build backlogs side by side in worktrees
+        if (state.backlogIds || state.parallel) {
+          await executeProcessBacklogs(projectState, requirement, state);
+        } else {
+          await executeProcessBacklog(projectState, requirement, state);
+        }
         break;
-        
+      
+      case 'process-all':
+        await executeProcessAll(projectState, requirement, state);
+        break;
+      
       case 'list-backlogs':
         await executeListBacklogs(projectState, requirement, state);
         break;
@@ -111,7 +160,35 @@ export async function runOrchestrator(projectName, requirement, commandType = 'c
       case 'reset-backlog':
         await executeResetBacklog(projectState, requirement, state);
         break;
-        
+      
+      case 'edit-backlog':
+        await executeEditBacklog(projectState, requirement, state);
+        break;
+      
+      case 'delete-backlog':
+        await executeDeleteBacklog(projectState, requirement, state);
+        break;
+      
+      case 'move-backlog':
+        await executeMoveBacklog(projectState, requirement, state);
+        break;
+      
+      case 'set-priority':
+        await executeSetPriority(projectState, requirement, state);
+        break;
+      
+      case 'split-backlog':
+        await executeSplitBacklog(projectState, requirement, state);
+        break;
+      
+      case 'merge-backlogs':
+        await executeMergeBacklogs(projectState, requirement, state);
+        break;
+      
+      case 'backlog-graph':
+        await executeBacklogGraph(projectState, requirement, state);
+        break;
+      
       case 'fix':
         await executeFix(projectState, requirement, state);
         break;
@@ -124,19 +201,68 @@ export async function runOrchestrator(projectName, requirement, commandType = 'c
         await executeFixTests(projectState, requirement, state);
         break;
         
+      case 'apply-proposal':
+        await executeApplyProposal(projectState, requirement, state);
+        break;
+        
+      case 'list-proposals':
+        await executeListProposals(projectState, requirement, state);
+        break;
+        
+      case 'rollback':
+        await executeRollback(projectState, requirement, state);
+        break;
+        
+      case 'history':
+        await executeHistory(projectState, requirement, state);
+        break;
+        
+      case 'changelog':
+        await executeChangelog(projectState, requirement, state);
+        break;
+        
+      case 'map':
+        await executeMap(projectState, requirement, state);
+        break;
+        
       default:
         console.error(`❌ Unknown command type: ${commandType}`);
         process.exit(1);
     }
     
+    // Dry run: show and save what would change instead of testing it
+    if (projectState.isDryRun()) {
+      finishDryRun(projectState);
+      return;
+    }
+    
+    // Stop without testing when the budget ran out mid-command
+    if (state.budgetExceeded) {
+      console.log('⚠️  Budget exceeded - skipping tests. Raise the limits in plan-build-test/config.json to continue.');
+      return;
+    }
+    
     // Finish with testing unless we're analyzing test fixes, managing backlogs, or creating a new project
-    if (!['fix-tests', 'list-backlogs', 'add-backlog', 'create-project', 'reset-backlog'].includes(commandType)) {
-      await runTests(projectState, projectPath, requirement, state);
+    if (!['fix-tests', 'process-all', 'list-backlogs', 'add-backlog', 'create-project', 'reset-backlog', 'edit-backlog', 'delete-backlog', 'move-backlog', 'set-priority', 'split-backlog', 'merge-backlogs', 'backlog-graph', 'apply-proposal', 'list-proposals', 'rollback', 'history', 'changelog', 'map'].includes(commandType)) {
+      // Interactive mode: last checkpoint before testing
+      if (state.interactive && !(await confirmTests(projectState))) {
+        console.log('⏭️  Tests skipped. Run npm test in the project when ready.');
+        return;
+      }
+      closePrompts();
+      const result = await runTests(projectState, projectPath, requirement, state);
+      if (!result.passed) {
+        process.exit(1);
+      }
+      await serveProject(projectPath);
     }
     
   } catch (error) {
     console.error('❌ Orchestrator error:', error.message);
     projectState.appendTextLog(`ERROR: ${error.message}`);
     process.exit(1);
+  } finally {
+    // Release stdin held by interactive prompts
+    closePrompts();
   }
 }
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Acceptance criteria verification
+ * The Tester maps every acceptance criterion of a backlog to the tests that
+ * check it (test_cases[].criteria, 1-based). After the test run each
+ * criterion is verified, failed or untested, and a backlog is only completed
+ * once all of its criteria are verified.
+ */
+
+// Reporter lines for a failing or passing test (Playwright list, node:test, TAP)
+const FAILED_LINE = /✘|✖|✗|×|\bnot ok\b|^\s*\d+\) /;
+const PASSED_LINE = /✓|✔|^\s*ok\b/;
+
+const STATUS_MARKERS = { verified: '✅', failed: '❌', untested: '⚪' };
+
+/**
+ * Map each criterion to the names of the tests that check it
+ * @param {string[]} criteria - Backlog acceptance criteria
+ * @param {Object[]} testCases - Tester test_cases ({name, criteria: [1-based indexes]})
+ * @returns {{criterion: string, tests: string[]}[]}
+ */
+export function mapCriteriaToTests(criteria, testCases = []) {
+  return criteria.map((criterion, i) => ({
+    criterion,
+    tests: testCases.filter(tc => (tc.criteria || []).includes(i + 1)).map(tc => tc.name)
+  }));
+}
+
+/**
+ * Criteria-to-tests mapping stored on a backlog by an earlier verification
+ * (tests written then still cover the criteria)
+ * @returns {{criterion: string, tests: string[]}[]}
+ */
+export function restoreCriteriaTests(backlog) {
+  const previous = new Map((backlog.criteria_status || []).map(s => [s.criterion, s.tests || []]));
+  return (backlog.acceptance_criteria || []).map(criterion => ({ criterion, tests: previous.get(criterion) || [] }));
+}
+
+/**
+ * Find how a test did in the test output
+ * @returns {'passed'|'failed'|null} null if the output doesn't mention it
+ */
+function findTestOutcome(output, name) {
+  const lines = output.split('\n').filter(line => line.includes(name));
+  if (lines.some(line => FAILED_LINE.test(line))) return 'failed';
+  if (lines.some(line => PASSED_LINE.test(line))) return 'passed';
+  return null;
+}
+
+/**
+ * Status of each criterion after a test run
+ * verified: it has tests and all of them passed; failed: one of its tests
+ * failed (or can't be found in the output of a failing run); untested: no test
+ * checks it.
+ * @param {{criterion: string, tests: string[]}[]} mapping - From mapCriteriaToTests
+ * @param {{passed: boolean, output: string}} testResult - Last test run
+ * @returns {{criterion: string, status: string, tests: string[]}[]}
+ */
+export function verifyCriteria(mapping, testResult) {
+  const output = testResult.output || '';
+  return mapping.map(({ criterion, tests }) => {
+    if (tests.length === 0) {
+      return { criterion, status: 'untested', tests };
+    }
+    const passed = tests.every(name => {
+      const outcome = findTestOutcome(output, name);
+      // A passing suite may use a reporter that doesn't list every test
+      return outcome === 'passed' || (outcome === null && testResult.passed);
+    });
+    return { criterion, status: passed ? 'verified' : 'failed', tests };
+  });
+}
+
+/**
+ * Short summary, e.g. "2/3 verified"
+ */
+export function summarizeCriteria(statuses) {
+  return `${statuses.filter(s => s.status === 'verified').length}/${statuses.length} verified`;
+}
+
+/**
+ * One line per criterion with its status marker and tests
+ */
+export function formatCriteriaStatus(statuses) {
+  return statuses.map(({ criterion, status, tests }) =>
+    `${STATUS_MARKERS[status]} ${criterion}${tests.length > 0 ? ` (${tests.join('; ')})` : ' (no test)'}`
+  );
+}
@@ -1,5 +1,21 @@
 import { logWarning } from './console-utils.js';
 
+/**
+ * Extract the JSON payload from an agent response without interpreting it
+ * @param {string} response - Raw agent response
+ * @returns {{json: Object|null, error: string|null}}
+ */
+export function extractJson(response) {
+  const jsonMatch = response.match(/```json\s*\n([\s\S]*?)\n\s*```/);
+  const candidate = jsonMatch ? jsonMatch[1] : response.trim();
+  
+  try {
+    return { json: JSON.parse(candidate), error: null };
+  } catch (e) {
+    return { json: null, error: `Response is not valid JSON: ${e.message}` };
+  }
+}
+
 /**
  * Parse JSON response from agent with fallback to text parsing
  */
@@ -39,9 +55,12 @@ export function parseTasks(architectResponse) {
   // Try JSON parsing first
   const json = parseAgentResponse(architectResponse, 'Architect');
   if (json && json.tasks) {
-    return json.tasks.map(task => ({
+    return json.tasks.map((task, i) => ({
+      id: task.id ?? i + 1,
       description: task.description,
-      test: task.test_command || 'verify manually'
+      test: task.test_command || 'verify manually',
+      dependencies: task.dependencies || [],
+      files: task.files || []
     }));
   }
   
@@ -191,6 +210,39 @@ export function parseBacklogs(response) {
   };
 }
 
+/**
+ * Parse a single backlog item from the architect-backlog-item response
+ * @returns {{backlog: Object, tooLarge: boolean, split: Array}}
+ */
+export function parseBacklogItem(response) {
+  const json = parseAgentResponse(response, 'Architect');
+  
+  if (!json || json.status === 'FAILURE' || !json.backlog) {
+    throw new Error(json?.error || 'Architect failed to describe the backlog');
+  }
+  
+  const split = json.split || [];
+  return {
+    backlog: json.backlog,
+    tooLarge: Boolean(json.too_large) && split.length > 1,
+    split
+  };
+}
+
+/**
+ * Parse the parts of a backlog from the architect-backlog-split response
+ * @returns {Array} Parts in build order
+ */
+export function parseBacklogSplit(response) {
+  const json = parseAgentResponse(response, 'Architect');
+  
+  if (!json || json.status === 'FAILURE' || !Array.isArray(json.split) || json.split.length < 2) {
+    throw new Error(json?.error || 'Architect failed to split the backlog');
+  }
+  
+  return json.split;
+}
+
 /**
  * Parse project review response
  */
@@ -0,0 +1,308 @@
+/**
+ * JSON schemas for agent responses
+ * Derived from agents/Agent JSON Output Schemas.md and the agent templates.
+ * Only the fields the orchestrator relies on are required; extra fields are allowed.
+ */
+
+import { BACKLOG_PRIORITIES, BACKLOG_EFFORTS } from './config.js';
+
+const STATUS = { type: 'string', enum: ['SUCCESS', 'FAILURE'] };
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+const BACKLOG_ITEM = {
+  type: 'object',
+  required: ['title', 'description', 'priority', 'estimated_effort', 'dependencies', 'acceptance_criteria'],
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    priority: { type: 'string', enum: BACKLOG_PRIORITIES },
+    estimated_effort: { type: 'string', enum: BACKLOG_EFFORTS },
+    dependencies: { type: 'array', items: { type: 'integer' } },
+    acceptance_criteria: STRING_ARRAY
+  }
+};
+// Part of a split backlog: may also depend on earlier parts (1-based positions)
+const BACKLOG_PART = {
+  ...BACKLOG_ITEM,
+  properties: {
+    ...BACKLOG_ITEM.properties,
+    depends_on_parts: { type: 'array', items: { type: 'integer' } }
+  }
+};
+
+export const AGENT_SCHEMAS = {
+  'architect': {
+    type: 'object',
+    required: ['status', 'tasks'],
+    properties: {
+      status: STATUS,
+      tasks: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['description'],
+          properties: {
+            id: { type: 'integer' },
+            description: { type: 'string' },
+            test_command: { type: 'string' },
+            dependencies: { type: 'array', items: { type: 'integer' } },
+            files: STRING_ARRAY
+          }
+        }
+      },
+      file_structure: {
+        type: 'array',
+        items: { type: 'object', required: ['path'], properties: { path: { type: 'string' } } }
+      },
+      final_validation: { type: 'object' }
+    }
+  },
+  
+  'architect-backlogs': {
+    type: 'object',
+    required: ['status', 'backlogs'],
+    properties: {
+      status: STATUS,
+      project_summary: { type: 'string' },
+      backlogs: {
+        type: 'array',
+        minItems: 1,
+        items: BACKLOG_ITEM
+      },
+      technical_considerations: STRING_ARRAY
+    }
+  },
+  
+  'architect-backlog-item': {
+    type: 'object',
+    required: ['status', 'backlog'],
+    properties: {
+      status: STATUS,
+      backlog: BACKLOG_ITEM,
+      too_large: { type: 'boolean' },
+      split: { type: 'array', items: BACKLOG_PART }
+    }
+  },
+  
+  'architect-backlog-split': {
+    type: 'object',
+    required: ['status', 'split'],
+    properties: {
+      status: STATUS,
+      split: { type: 'array', minItems: 2, items: BACKLOG_PART }
+    }
+  },
+  
+  'coder': {
+    type: 'object',
+    required: ['status', 'files'],
+    properties: {
+      status: STATUS,
+      files: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['path'],
+          anyRequired: ['content', 'diff', 'edits'],
+          properties: {
+            path: { type: 'string' },
+            action: { type: 'string', enum: ['create', 'modify', 'patch', 'edit'] },
+            content: { type: 'string' },
+            diff: { type: 'string' },
+            edits: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['search', 'replace'],
+                properties: { search: { type: 'string' }, replace: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  
+  'tester': {
+    type: 'object',
+    required: ['status', 'test_file'],
+    properties: {
+      status: STATUS,
+      test_file: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string' },
+          content: { type: 'string' },
+          test_cases: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string' },
+                criteria: { type: 'array', items: { type: 'integer' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  
+  'tester-fix': {
+    type: 'object',
+    required: ['fixed_tests'],
+    properties: {
+      fixed_tests: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['file_path', 'updated_content'],
+          properties: {
+            file_path: { type: 'string' },
+            updated_content: { type: 'string' }
+          }
+        }
+      },
+      changes_made: STRING_ARRAY
+    }
+  },
+  
+  'project-reviewer': {
+    type: 'object',
+    required: ['status', 'project_state', 'recommendation'],
+    properties: {
+      status: STATUS,
+      project_state: {
+        type: 'object',
+        required: ['current_status'],
+        properties: { current_status: { type: 'string' } }
+      },
+      recommendation: {
+        type: 'object',
+        required: ['next_action', 'description'],
+        properties: {
+          next_action: { type: 'string', enum: ['task', 'fix', 'refactor', 'complete'] },
+          description: { type: 'string' }
+        }
+      }
+    }
+  },
+  
+  'refactor-analyst': {
+    type: 'object',
+    required: ['status', 'assessment', 'refactor_tasks'],
+    properties: {
+      status: STATUS,
+      assessment: {
+        type: 'object',
+        required: ['strengths', 'weaknesses'],
+        properties: {
+          strengths: STRING_ARRAY,
+          weaknesses: STRING_ARRAY
+        }
+      },
+      refactor_tasks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['description'],
+          properties: {
+            description: { type: 'string' },
+            test_command: { type: 'string' },
+            files_affected: STRING_ARRAY
+          }
+        }
+      }
+    }
+  }
+};
+
+// Agents reporting status FAILURE only need to say why
+const FAILURE_SCHEMA = {
+  type: 'object',
+  required: ['status', 'error'],
+  properties: { status: STATUS, error: { type: 'string' } }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema (JSON Schema subset: type, required,
+ * properties, items, enum, minItems, plus anyRequired: at least one of the keys)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} Validation errors
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: must be ${schema.type}, got ${typeOf(value)}`];
+  }
+  
+  const errors = [];
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    
+    if (schema.anyRequired && schema.anyRequired.every(key => value[key] === undefined)) {
+      errors.push(`${path}: requires one of ${schema.anyRequired.join(', ')}`);
+    }
+    
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+  
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+      });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a parsed agent response against its role schema
+ * @param {Object} json - Parsed response
+ * @param {string} schemaName - Key in AGENT_SCHEMAS
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateAgentResponse(json, schemaName) {
+  const schema = AGENT_SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`No schema defined for agent "${schemaName}"`);
+  }
+  
+  return validateSchema(json, json?.status === 'FAILURE' ? FAILURE_SCHEMA : schema);
+}
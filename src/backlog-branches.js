@@ -0,0 +1,285 @@
+/**
+ * Branch-per-backlog git workflow
+ * Each backlog is built on its own branch (backlog/<id>-<slug>), every
+ * completed task is committed there, and the branch is merged back into the
+ * base branch once tests pass. Failed backlogs stay on their branch.
+ * Backlogs built in parallel each get their branch checked out in a separate
+ * git worktree, so the main project stays on the base branch.
+ */
+
+import { existsSync, mkdirSync, rmSync } from 'fs';
+import { basename, join } from 'path';
+import {
+  isGitInitialized, getCurrentBranch, branchExists, checkoutBranch, commitAll, mergeBranch,
+  addWorktree, removeWorktree
+} from './git-utils.js';
+import { Logger } from './logger.js';
+import { BACKLOGS_FILENAME, PLAN_BUILD_TEST_DIR, WORKTREES_DIR } from './config.js';
+
+// Project state that stays the same on every branch
+const BRANCH_KEEP_PATHS = [BACKLOGS_FILENAME, PLAN_BUILD_TEST_DIR];
+
+/**
+ * Read the branch workflow settings (plan-build-test/config.json "git")
+ * @returns {{enabled: boolean, mergeStrategy: string}}
+ */
+export function getBranchSettings(projectState) {
+  const settings = projectState.getConfig().git || {};
+  return {
+    enabled: settings.branchPerBacklog !== false && !projectState.isDryRun(),
+    mergeStrategy: settings.mergeStrategy === 'squash' ? 'squash' : 'merge'
+  };
+}
+
+/**
+ * Branch name for a backlog, e.g. backlog/3-user-auth
+ */
+export function getBacklogBranchName(backlog) {
+  const slug = (backlog.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return slug ? `backlog/${backlog.id}-${slug}` : `backlog/${backlog.id}`;
+}
+
+/**
+ * Switch branches while keeping backlogs.json and plan-build-test/ as they are
+ * Backlog status, logs and usage are project state, not part of any one
+ * branch's code (older projects still track logs.json in git).
+ */
+async function switchBranch(projectPath, branch, create = false) {
+  await checkoutBranch(projectPath, branch, create, BRANCH_KEEP_PATHS);
+}
+
+/**
+ * Find the branch record of a backlog that has not been merged yet
+ * @param {Array} log - Project log entries
+ * @param {Function} match - Predicate on BACKLOG_BRANCH_CREATED entries
+ */
+function findOpenBranch(log, match) {
+  const merged = new Set(log.filter(e => e.action === 'BACKLOG_MERGED').map(e => e.branch));
+  return log
+    .filter(e => e.action === 'BACKLOG_BRANCH_CREATED' && !merged.has(e.branch))
+    .reverse()
+    .find(match) || null;
+}
+
+/**
+ * Leave an unfinished backlog branch for its base branch
+ * Work in progress is committed on the backlog branch and left for inspection.
+ * @returns {Promise<string>} The branch the project is on afterwards
+ */
+export async function returnToBaseBranch(projectState) {
+  const projectPath = projectState.projectPath;
+  const current = await getCurrentBranch(projectPath);
+  const other = findOpenBranch(projectState.getLog(), e => e.branch === current);
+  if (!other) return current;
+  
+  await commitAll(projectPath, `Work in progress on ${current}`, projectState.getCommitMetadata('Orchestrator', { backlogId: other.backlogId }));
+  await switchBranch(projectPath, other.baseBranch);
+  Logger.warning(`Left ${current} unmerged for inspection`);
+  return other.baseBranch;
+}
+
+/**
+ * Put the project on the backlog's branch before work starts
+ * A new backlog branches off the base branch; leftover work on another
+ * backlog branch is committed there and left for inspection.
+ * @returns {Promise<Object|null>} Branch record, or null when the workflow is off
+ */
+export async function startBacklogBranch(projectState, backlog) {
+  const { enabled } = getBranchSettings(projectState);
+  const projectPath = projectState.projectPath;
+  if (!enabled || !await isGitInitialized(projectPath)) return null;
+  
+  const current = await getCurrentBranch(projectPath);
+  const existing = findOpenBranch(projectState.getLog(), e => e.backlogId === backlog.id);
+  const metadata = projectState.getCommitMetadata('Orchestrator', { backlogId: backlog.id });
+  
+  if (existing && await branchExists(projectPath, existing.branch)) {
+    if (current !== existing.branch) {
+      await commitAll(projectPath, `Leave ${current} for backlog #${backlog.id}`, metadata);
+      await switchBranch(projectPath, existing.branch);
+      Logger.info(`Resuming on branch ${existing.branch}`);
+    }
+    return existing;
+  }
+  
+  // Start from the base branch, not from another backlog's unfinished branch
+  const baseBranch = await returnToBaseBranch(projectState);
+  
+  const branch = getBacklogBranchName(backlog);
+  await commitAll(projectPath, `Before backlog #${backlog.id}`, metadata);
+  await switchBranch(projectPath, branch, !await branchExists(projectPath, branch));
+  Logger.info(`Working on branch ${branch} (base: ${baseBranch})`);
+  
+  const entry = { action: 'BACKLOG_BRANCH_CREATED', backlogId: backlog.id, branch, baseBranch };
+  projectState.appendLog(entry);
+  return entry;
+}
+
+/**
+ * Check out a backlog's branch in its own worktree
+ * A new branch starts from the base branch; an unmerged branch from an earlier
+ * attempt is reused. The branch record is logged before work starts, so
+ * startBacklogBranch inside the worktree finds it.
+ * @param {string} baseBranch - Branch the main project is on (merge target)
+ * @returns {Promise<Object>} Branch record with the worktree path
+ */
+export async function startBacklogWorktree(projectState, backlog, baseBranch) {
+  const projectPath = projectState.projectPath;
+  const worktree = join(WORKTREES_DIR, basename(projectPath), `backlog-${backlog.id}`);
+  const existing = findOpenBranch(projectState.getLog(), e => e.backlogId === backlog.id);
+  
+  // Left behind by an interrupted run
+  if (existsSync(worktree)) {
+    await removeWorktree(projectPath, worktree).catch(() => rmSync(worktree, { recursive: true, force: true }));
+  }
+  mkdirSync(join(WORKTREES_DIR, basename(projectPath)), { recursive: true });
+  
+  if (existing && await branchExists(projectPath, existing.branch)) {
+    await addWorktree(projectPath, worktree, existing.branch);
+    Logger.info(`Backlog #${backlog.id}: resuming ${existing.branch} in ${worktree}`);
+    return { ...existing, baseBranch, worktree };
+  }
+  
+  const branch = getBacklogBranchName(backlog);
+  await addWorktree(projectPath, worktree, branch, await branchExists(projectPath, branch) ? null : baseBranch);
+  Logger.info(`Backlog #${backlog.id}: working on ${branch} in ${worktree}`);
+  
+  projectState.appendLog({ action: 'BACKLOG_BRANCH_CREATED', backlogId: backlog.id, branch, baseBranch, worktree });
+  return findOpenBranch(projectState.getLog(), e => e.backlogId === backlog.id);
+}
+
+/**
+ * Commit a completed task on the current backlog branch
+ */
+export async function commitTask(projectState, task) {
+  const { enabled } = getBranchSettings(projectState);
+  if (!enabled || !await isGitInitialized(projectState.projectPath)) return false;
+  
+  return commitAll(
+    projectState.projectPath,
+    `Task ${task.taskNumber}: ${task.description}`,
+    projectState.getCommitMetadata('Coder', { taskNumbers: [task.taskNumber] })
+  );
+}
+
+/**
+ * Build the merge commit message from the backlog title and acceptance criteria
+ */
+function buildMergeMessage(backlog) {
+  const criteria = backlog?.acceptance_criteria || [];
+  const title = backlog ? `Backlog #${backlog.id}: ${backlog.title}` : 'Merge backlog';
+  return criteria.length > 0
+    ? `${title}\n\nAcceptance criteria:\n${criteria.map(c => `- ${c}`).join('\n')}`
+    : title;
+}
+
+/**
+ * Commit trailers for a backlog's merge: the tasks completed on its branch
+ */
+function getMergeMetadata(projectState, record) {
+  const log = projectState.getLog();
+  const start = log.findIndex(e => e.action === record.action && e.branch === record.branch && e.timestamp === record.timestamp);
+  // Tasks of backlogs built alongside in other worktrees are logged in between
+  const taskNumbers = log.slice(start + 1)
+    .filter(e => e.action === 'COMPLETE_TASK' && (e.backlogId ?? record.backlogId) === record.backlogId)
+    .map(e => e.taskNumber);
+  return projectState.getCommitMetadata('Orchestrator', { backlogId: record.backlogId, taskNumbers });
+}
+
+/**
+ * Merge the current backlog branch into its base branch after tests pass
+ * Does nothing when the project is not on an open backlog branch. On a
+ * merge conflict the project stays on the backlog branch.
+ * @returns {Promise<boolean|null>} True if merged, false on a conflict, null if there was nothing to merge
+ */
+export async function mergeBacklogBranch(projectState) {
+  const { enabled } = getBranchSettings(projectState);
+  const projectPath = projectState.projectPath;
+  if (!enabled || !await isGitInitialized(projectPath)) return null;
+  
+  const current = await getCurrentBranch(projectPath);
+  const record = findOpenBranch(projectState.getLog(), e => e.branch === current);
+  if (!record) return null;
+  
+  const metadata = getMergeMetadata(projectState, record);
+  await commitAll(projectPath, `Tests for backlog #${record.backlogId}`, { ...metadata, agentRole: 'Tester' });
+  await switchBranch(projectPath, record.baseBranch);
+  
+  const merged = await mergeIntoBase(projectState, record, metadata);
+  if (!merged) {
+    await switchBranch(projectPath, record.branch);
+  }
+  return merged;
+}
+
+/**
+ * Merge a backlog built in a worktree into the main project
+ * The worktree's remaining changes (its tests) are committed on the backlog
+ * branch and the worktree is removed; the main project must be on the base branch.
+ * @param {Object} record - Branch record from startBacklogWorktree
+ * @returns {Promise<boolean>} True if merged
+ */
+export async function mergeBacklogWorktree(projectState, record) {
+  const metadata = getMergeMetadata(projectState, record);
+  await commitAll(record.worktree, `Tests for backlog #${record.backlogId}`, { ...metadata, agentRole: 'Tester' });
+  await removeWorktree(projectState.projectPath, record.worktree);
+  return mergeIntoBase(projectState, record, metadata);
+}
+
+/**
+ * Remove a backlog's worktree without merging
+ * Its work in progress is committed on the backlog branch, where a later
+ * process-backlog run picks it up.
+ * @param {Object} record - Branch record from startBacklogWorktree
+ */
+export async function closeBacklogWorktree(projectState, record) {
+  if (existsSync(record.worktree)) {
+    await commitAll(record.worktree, `Work in progress on ${record.branch}`, projectState.getCommitMetadata('Orchestrator', { backlogId: record.backlogId }));
+  }
+  await removeWorktree(projectState.projectPath, record.worktree);
+  Logger.info(`Work on backlog #${record.backlogId} kept on ${record.branch}`, true);
+}
+
+/**
+ * Merge a backlog branch into the branch the project is on (its base branch)
+ * @returns {Promise<boolean>} True if merged; on a conflict the branch is left for a manual merge
+ */
+async function mergeIntoBase(projectState, record, metadata) {
+  const { mergeStrategy } = getBranchSettings(projectState);
+  const projectPath = projectState.projectPath;
+  const backlog = projectState.getBacklogsData()?.backlogs.find(b => b.id === record.backlogId);
+  
+  Logger.section(`Merging ${record.branch} into ${record.baseBranch} (${mergeStrategy})...`, '🔀');
+  // Same project state on both sides, so it cannot conflict
+  await commitAll(projectPath, `Update backlog status for #${record.backlogId}`, metadata);
+  
+  try {
+    const commit = await mergeBranch(projectPath, record.branch, mergeStrategy, buildMergeMessage(backlog), metadata);
+    projectState.appendLog({
+      action: 'BACKLOG_MERGED',
+      backlogId: record.backlogId,
+      branch: record.branch,
+      baseBranch: record.baseBranch,
+      strategy: mergeStrategy,
+      commit
+    });
+    Logger.success(`Merged ${record.branch} into ${record.baseBranch}`);
+    return true;
+  } catch (error) {
+    projectState.appendLog({
+      action: 'BACKLOG_MERGE_FAILED',
+      backlogId: record.backlogId,
+      branch: record.branch,
+      baseBranch: record.baseBranch,
+      error: error.message
+    });
+    Logger.warning(`Could not merge ${record.branch}: ${error.message.split('\n')[0]}`);
+    Logger.info(`The work stays on ${record.branch}; merge it manually into ${record.baseBranch}`, true);
+    return false;
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Backlog dependency graph
+ * Backlogs form a DAG through their `dependencies` (ids of backlogs that must
+ * be completed first). backlogs.json is checked against it before every save,
+ * and the backlog-graph command renders it as ASCII and Graphviz DOT with the
+ * critical path and the backlogs that can be started now.
+ */
+
+// Critical path weight of a backlog by its estimated effort
+const EFFORT_WEIGHTS = { small: 1, medium: 2, large: 3 };
+
+// ASCII status markers
+const STATUS_MARKERS = { completed: '[x]', in_progress: '[~]', blocked: '[!]' };
+
+// DOT fill colors by status ('ready' = pending with its dependencies completed)
+const STATUS_COLORS = {
+  completed: '#d4edda',
+  in_progress: '#fff3cd',
+  blocked: '#f8d7da',
+  ready: '#d1ecf1',
+  pending: '#ffffff'
+};
+
+/**
+ * Error thrown when backlogs have invalid dependencies
+ */
+export class BacklogGraphError extends Error {
+  constructor(problems) {
+    super(`Invalid backlog dependencies: ${problems.join('; ')}`);
+    this.name = 'BacklogGraphError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Find a dependency cycle
+ * @returns {number[]|null} Ids along the cycle, first id repeated at the end
+ */
+function findCycle(backlogs) {
+  const byId = new Map(backlogs.map(b => [b.id, b]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of byId.get(id).dependencies || []) {
+      if (dep === id || !byId.has(dep)) continue;
+      if (state.get(dep) === 'visiting') return [...stack.slice(stack.indexOf(dep)), dep];
+      if (!state.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  
+  for (const backlog of backlogs) {
+    if (state.has(backlog.id)) continue;
+    const cycle = visit(backlog.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * List what is wrong with the graph: missing or duplicate ids, unknown or
+ * self dependencies, and cycles
+ * @param {Object[]} backlogs - Backlogs from backlogs.json
+ * @returns {string[]} Problems (empty when the graph is valid)
+ */
+export function findGraphProblems(backlogs) {
+  const problems = [];
+  const ids = new Set();
+  
+  backlogs.forEach(b => {
+    if (!Number.isInteger(b.id)) {
+      problems.push(`backlog "${b.title}" has no valid id`);
+    } else if (ids.has(b.id)) {
+      problems.push(`duplicate id #${b.id}`);
+    }
+    ids.add(b.id);
+  });
+  
+  backlogs.forEach(b => (b.dependencies || []).forEach(dep => {
+    if (dep === b.id) {
+      problems.push(`#${b.id} depends on itself`);
+    } else if (!ids.has(dep)) {
+      problems.push(`#${b.id} depends on unknown backlog #${dep}`);
+    }
+  }));
+  
+  const cycle = findCycle(backlogs);
+  if (cycle) {
+    problems.push(`circular dependency ${cycle.map(id => `#${id}`).join(' -> ')}`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Problems a change to the backlogs would introduce
+ * Problems the previous backlogs already had (e.g. from hand edits) are left
+ * out, so they can still be fixed one at a time.
+ * @param {Object[]} backlogs - Backlogs after the change
+ * @param {Object[]} previousBacklogs - Backlogs before the change
+ * @returns {string[]}
+ */
+export function findNewGraphProblems(backlogs, previousBacklogs = []) {
+  const existing = new Set(findGraphProblems(previousBacklogs));
+  return findGraphProblems(backlogs).filter(problem => !existing.has(problem));
+}
+
+/**
+ * Throw a BacklogGraphError if a change to the backlogs introduces problems
+ * @param {Object[]} backlogs - Backlogs after the change
+ * @param {Object[]} previousBacklogs - Backlogs before the change
+ */
+export function validateBacklogGraph(backlogs, previousBacklogs = []) {
+  const problems = findNewGraphProblems(backlogs, previousBacklogs);
+  if (problems.length > 0) {
+    throw new BacklogGraphError(problems);
+  }
+}
+
+/**
+ * Remove dependencies until the graph has no cycle
+ * Each cycle loses the dependency that closes it (the back-edge found by
+ * following dependencies in list order). The backlogs are changed in place.
+ * @param {Object[]} backlogs - Backlogs with valid ids
+ * @returns {{backlogId: number, dependency: number}[]} Removed dependencies
+ */
+export function breakCycles(backlogs) {
+  const byId = new Map(backlogs.map(b => [b.id, b]));
+  const removed = [];
+  
+  for (let cycle = findCycle(backlogs); cycle; cycle = findCycle(backlogs)) {
+    const backlogId = cycle[cycle.length - 2];
+    const dependency = cycle[cycle.length - 1];
+    const backlog = byId.get(backlogId);
+    backlog.dependencies = backlog.dependencies.filter(dep => dep !== dependency);
+    removed.push({ backlogId, dependency });
+  }
+  
+  return removed;
+}
+
+/**
+ * Backlogs that can be started now: pending or in progress, with every dependency completed
+ * @returns {Object[]}
+ */
+export function findUnblockedBacklogs(backlogs) {
+  const completed = new Set(backlogs.filter(b => b.status === 'completed').map(b => b.id));
+  return backlogs.filter(b =>
+    ['pending', 'in_progress'].includes(b.status) && (b.dependencies || []).every(dep => completed.has(dep))
+  );
+}
+
+/**
+ * Longest chain of unfinished backlogs, weighted by estimated effort
+ * (small 1, medium 2, large 3). Completed backlogs are left out: the path is
+ * the remaining work that has to happen one backlog after another.
+ * @param {Object[]} backlogs - Backlogs forming a valid graph
+ * @returns {{path: number[], weight: number}} Ids in build order
+ */
+export function findCriticalPath(backlogs) {
+  const byId = new Map(backlogs.map(b => [b.id, b]));
+  const best = new Map(); // id -> {weight, previous}
+  
+  const longest = id => {
+    if (best.has(id)) return best.get(id);
+    const backlog = byId.get(id);
+    let result = { weight: 0, previous: null };
+    (backlog.dependencies || [])
+      .filter(dep => byId.has(dep) && byId.get(dep).status !== 'completed')
+      .forEach(dep => {
+        const candidate = longest(dep);
+        if (candidate.weight > result.weight) result = { weight: candidate.weight, previous: dep };
+      });
+    result = { ...result, weight: result.weight + (EFFORT_WEIGHTS[backlog.estimated_effort] || EFFORT_WEIGHTS.medium) };
+    best.set(id, result);
+    return result;
+  };
+  
+  let end = null;
+  backlogs
+    .filter(b => b.status !== 'completed')
+    .forEach(b => {
+      const weight = longest(b.id).weight;
+      if (end === null || weight > best.get(end).weight) end = b.id;
+    });
+  
+  const path = [];
+  for (let id = end; id !== null; id = best.get(id).previous) {
+    path.unshift(id);
+  }
+  return { path, weight: end === null ? 0 : best.get(end).weight };
+}
+
+/**
+ * Render the graph as an ASCII tree
+ * Backlogs without dependencies are the roots; each backlog is listed under
+ * the backlogs it depends on (in full the first time, as "see above" after).
+ * Markers: [x] completed, [~] in progress, [!] blocked, [ ] pending;
+ * "*" marks the critical path and "(ready)" backlogs that can start now.
+ * @param {Object[]} backlogs - Backlogs forming a valid graph
+ * @returns {string}
+ */
+export function formatGraphAscii(backlogs) {
+  const dependents = new Map(backlogs.map(b => [b.id, []]));
+  backlogs.forEach(b => (b.dependencies || []).forEach(dep => dependents.get(dep)?.push(b)));
+  const critical = new Set(findCriticalPath(backlogs).path);
+  const ready = new Set(findUnblockedBacklogs(backlogs).map(b => b.id));
+  const shown = new Set();
+  const lines = [];
+  
+  const describe = b => [
+    critical.has(b.id) ? '*' : ' ',
+    STATUS_MARKERS[b.status] || '[ ]',
+    `#${b.id} ${b.title}`,
+    ready.has(b.id) ? '(ready)' : ''
+  ].join(' ').trimEnd();
+  
+  const render = (backlog, prefix, childPrefix) => {
+    if (shown.has(backlog.id)) {
+      lines.push(`${prefix}${describe(backlog)} (see above)`);
+      return;
+    }
+    shown.add(backlog.id);
+    lines.push(`${prefix}${describe(backlog)}`);
+    
+    const children = dependents.get(backlog.id);
+    children.forEach((child, i) => {
+      const last = i === children.length - 1;
+      render(child, `${childPrefix}${last ? '`-- ' : '+-- '}`, `${childPrefix}${last ? '    ' : '|   '}`);
+    });
+  };
+  
+  backlogs
+    .filter(b => (b.dependencies || []).length === 0)
+    .forEach(b => render(b, '', ''));
+  
+  return lines.join('\n');
+}
+
+function escapeDot(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Render the graph as Graphviz DOT (edges point from a dependency to the
+ * backlog that needs it; the critical path is drawn in red)
+ * @param {Object[]} backlogs - Backlogs forming a valid graph
+ * @returns {string}
+ */
+export function formatGraphDot(backlogs) {
+  const path = findCriticalPath(backlogs).path;
+  const critical = new Set(path);
+  const ready = new Set(findUnblockedBacklogs(backlogs).map(b => b.id));
+  const lines = [
+    'digraph backlogs {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+  
+  backlogs.forEach(b => {
+    const status = b.status === 'pending' && ready.has(b.id) ? 'ready' : b.status;
+    const color = STATUS_COLORS[status] || STATUS_COLORS.pending;
+    const border = critical.has(b.id) ? ', color="#c0392b", penwidth=2' : '';
+    lines.push(`  b${b.id} [label="#${b.id} ${escapeDot(b.title)}\\n${escapeDot(status)}", fillcolor="${color}"${border}];`);
+  });
+  
+  backlogs.forEach(b => (b.dependencies || []).forEach(dep => {
+    const onPath = critical.has(dep) && critical.has(b.id) && path.indexOf(b.id) === path.indexOf(dep) + 1;
+    lines.push(`  b${dep} -> b${b.id}${onPath ? ' [color="#c0392b", penwidth=2]' : ''};`);
+  }));
+  
+  lines.push('}');
+  return lines.join('\n');
+}
@@ -0,0 +1,134 @@
+/**
+ * Budget limits for agent usage
+ * A project can cap calls, tokens and minutes per command run and per backlog
+ * in plan-build-test/config.json:
+ *
+ *   "budgets": {
+ *     "command": { "maxCalls": 30, "maxTokens": 400000, "maxMinutes": 30 },
+ *     "backlog": { "maxCalls": 60, "maxTokens": 800000, "maxMinutes": 90 }
+ *   }
+ *
+ * Command minutes are wall-clock time since the command started; backlog
+ * minutes are the summed duration of the backlog's agent calls across runs.
+ */
+
+import { Logger } from './logger.js';
+import { getAgentCalls, formatTokens } from './usage-tracker.js';
+
+const LIMITS = [
+  { key: 'maxCalls', measure: 'calls', label: 'calls' },
+  { key: 'maxTokens', measure: 'tokens', label: 'tokens' },
+  { key: 'maxMinutes', measure: 'minutes', label: 'minutes' }
+];
+
+/**
+ * Error thrown when an operation would exceed a budget
+ */
+export class BudgetExceededError extends Error {
+  constructor(exceeded) {
+    super(`Budget exceeded: ${describeExceeded(exceeded)}`);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+  }
+}
+
+function describeExceeded({ scope, label, used, max }) {
+  const format = value => label === 'tokens' ? formatTokens(value) : Number(value.toFixed(1));
+  return `${scope} ${label} ${format(used)}/${format(max)}`;
+}
+
+function sumCalls(calls) {
+  return {
+    calls: calls.length,
+    tokens: calls.reduce((sum, entry) => sum + (entry.totalTokens || 0), 0),
+    minutes: calls.reduce((sum, entry) => sum + (entry.durationMs || 0), 0) / 60000
+  };
+}
+
+/**
+ * Get usage counted against the command and backlog budgets
+ * @param {ProjectState} projectState - Project state
+ * @returns {{command: Object, backlog: Object|null}}
+ */
+export function getBudgetUsage(projectState) {
+  const log = projectState.getLog();
+  const command = {
+    ...sumCalls(getAgentCalls(log, entry => entry.sessionId === projectState.sessionId)),
+    minutes: (Date.now() - projectState.sessionStartedAt) / 60000
+  };
+  
+  const { backlogId } = projectState.activeContext;
+  const backlog = backlogId
+    ? sumCalls(getAgentCalls(log, entry => entry.backlogId === backlogId))
+    : null;
+  
+  return { command, backlog };
+}
+
+/**
+ * Check the project budgets
+ * @param {ProjectState} projectState - Project state
+ * @returns {Object|null} The first exceeded limit, or null if within budget
+ */
+export function checkBudget(projectState) {
+  const budgets = projectState.getConfig().budgets;
+  if (!budgets) return null;
+  
+  const usage = getBudgetUsage(projectState);
+  
+  for (const scope of ['command', 'backlog']) {
+    const limits = budgets[scope];
+    if (!limits || !usage[scope]) continue;
+    
+    for (const { key, measure, label } of LIMITS) {
+      if (limits[key] !== undefined && usage[scope][measure] >= limits[key]) {
+        return { scope, limit: key, label, used: usage[scope][measure], max: limits[key] };
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Throw BudgetExceededError if a budget is used up
+ * @param {ProjectState} projectState - Project state
+ */
+export function enforceBudget(projectState) {
+  const exceeded = checkBudget(projectState);
+  if (exceeded) {
+    throw new BudgetExceededError(exceeded);
+  }
+}
+
+/**
+ * Log a BUDGET_EXCEEDED event and print the work that remains
+ * @param {ProjectState} projectState - Project state
+ * @param {BudgetExceededError} error - The budget error
+ * @param {Array} remainingTasks - Tasks not yet implemented
+ */
+export function reportBudgetExceeded(projectState, error, remainingTasks = []) {
+  const { exceeded } = error;
+  
+  Logger.warning(`Stopping: ${describeExceeded(exceeded)} (limit ${exceeded.limit})`);
+  
+  projectState.appendLog({
+    action: 'BUDGET_EXCEEDED',
+    details: error.message,
+    ...exceeded,
+    backlogId: projectState.activeContext.backlogId || null,
+    remainingTasks: remainingTasks.map(t => t.taskNumber)
+  });
+  projectState.appendTextLog(`\n${error.message}`);
+  projectState.appendTaskLog('BUDGET', error.message);
+  
+  if (remainingTasks.length > 0) {
+    Logger.info(`Remaining tasks (${remainingTasks.length}):`);
+    Logger.list(remainingTasks.map(t => `Task ${t.taskNumber}: ${t.description}`), false);
+  }
+  
+  if (projectState.activeContext.backlogId) {
+    Logger.info(`Backlog #${projectState.activeContext.backlogId} left in progress; run "npm run process-backlog" to resume`);
+  }
+  console.log(''); // Empty line
+}
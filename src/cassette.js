@@ -0,0 +1,127 @@
+/**
+ * Record-and-replay support for agent calls
+ * A cassette stores every prompt/response pair that passes through callClaude
+ * so a command can later be re-run deterministically without calling a model.
+ */
+
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { readJsonFile, writeJsonFile } from './file-utils.js';
+import { logWarning } from './console-utils.js';
+import { CASSETTE_FILENAME } from './config.js';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+// Loaded cassettes by file path, so a whole run shares one replay position
+const loadedCassettes = new Map();
+
+/**
+ * Cassette of recorded agent interactions
+ */
+export class Cassette {
+  constructor(filePath) {
+    this.filePath = filePath;
+    const data = readJsonFile(filePath);
+    this.interactions = data?.interactions || [];
+    this.used = new Set();
+  }
+  
+  /**
+   * Hash a prompt together with the role that received it
+   * @param {string} prompt - Prompt text
+   * @param {string} role - Agent role
+   * @returns {string} Hex digest
+   */
+  static hashPrompt(prompt, role) {
+    return createHash('sha256').update(`${role}\n${prompt}`).digest('hex');
+  }
+  
+  /**
+   * Find the recorded response for a prompt
+   * Exact prompt matches win; otherwise the next unused interaction for the
+   * same role is served, since prompts can drift (timestamps, file order).
+   * @param {string} prompt - Prompt text
+   * @param {string} role - Agent role
+   * @returns {Object|null} Recorded interaction
+   */
+  find(prompt, role) {
+    const promptHash = Cassette.hashPrompt(prompt, role);
+    let index = this.interactions.findIndex((entry, i) => !this.used.has(i) && entry.promptHash === promptHash);
+    
+    if (index === -1) {
+      index = this.interactions.findIndex((entry, i) => !this.used.has(i) && entry.role === role);
+      if (index !== -1) {
+        logWarning(`Cassette: prompt for ${role} changed since recording, replaying next ${role} response in order`);
+      }
+    }
+    
+    if (index === -1) return null;
+    
+    this.used.add(index);
+    return this.interactions[index];
+  }
+  
+  /**
+   * Record an interaction and persist the cassette
+   * @param {Object} interaction - { prompt, role, provider, response, usage }
+   */
+  record({ prompt, role, provider, response, usage = null }) {
+    this.interactions.push({
+      role,
+      provider,
+      promptHash: Cassette.hashPrompt(prompt, role),
+      prompt,
+      response,
+      usage,
+      recorded_at: new Date().toISOString()
+    });
+    this.used.add(this.interactions.length - 1);
+    this.save();
+  }
+  
+  save() {
+    writeJsonFile(this.filePath, {
+      version: 1,
+      interactions: this.interactions
+    });
+  }
+}
+
+/**
+ * Resolve cassette mode and file for a project
+ * PBT_CASSETTE_MODE / PBT_CASSETTE override the project config ("cassette": { "mode", "file" })
+ * @param {ProjectState} projectState - Project state
+ * @returns {{mode: string, filePath: string}|null} Null when recording/replay is off
+ */
+export function getCassetteSettings(projectState) {
+  const config = projectState.getConfig().cassette || {};
+  const mode = process.env.PBT_CASSETTE_MODE || config.mode;
+  
+  if (!mode || mode === 'off') return null;
+  
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+  }
+  
+  const fileName = process.env.PBT_CASSETTE || config.file || CASSETTE_FILENAME;
+  return {
+    mode,
+    filePath: join(projectState.planBuildTestDir, fileName)
+  };
+}
+
+/**
+ * Get the active cassette for a project, loading it on first use
+ * @param {ProjectState} projectState - Project state
+ * @returns {{mode: string, cassette: Cassette}|null}
+ */
+export function getActiveCassette(projectState) {
+  const settings = getCassetteSettings(projectState);
+  if (!settings) return null;
+  
+  if (!loadedCassettes.has(settings.filePath)) {
+    loadedCassettes.set(settings.filePath, new Cassette(settings.filePath));
+  }
+  
+  return { mode: settings.mode, cassette: loadedCassettes.get(settings.filePath) };
+}
@@ -0,0 +1,203 @@
+/**
+ * Changelog generation
+ * Builds a Markdown changelog from the project log (backlogs, tasks, test
+ * runs) and git history, grouped by backlog so each Plan-Build-Test cycle
+ * shows what it delivered.
+ */
+
+// Log actions that record the outcome of a test run
+const TEST_ACTIONS = ['TESTS_PASSED', 'TESTS_FAILED', 'TESTS_FIXED'];
+
+const TEST_STATUS_LABELS = {
+  TESTS_PASSED: '✅ Passing',
+  TESTS_FAILED: '❌ Failing',
+  TESTS_FIXED: '🔧 Tests updated by fix-tests',
+  none: '⚪ Not run'
+};
+
+/**
+ * Tasks created and still completed at the end of the log
+ * A task reverted by a rollback no longer counts as delivered.
+ * @returns {{created: Map, completed: Map}} taskNumber -> log entry
+ */
+function collectTasks(log) {
+  const created = new Map();
+  const completed = new Map();
+  
+  log.forEach(entry => {
+    if (entry.action === 'CREATE_TASK') {
+      created.set(entry.taskNumber, entry);
+    } else if (entry.action === 'COMPLETE_TASK') {
+      completed.set(entry.taskNumber, entry);
+    } else if (entry.action === 'ROLLBACK') {
+      (entry.revertedTasks || []).forEach(taskNumber => completed.delete(taskNumber));
+    }
+  });
+  
+  return { created, completed };
+}
+
+/**
+ * Last test result logged between two positions in the log
+ * @returns {string} TESTS_* action, or 'none'
+ */
+function findTestStatus(log, from, to) {
+  const result = log.slice(from, to).filter(entry => TEST_ACTIONS.includes(entry.action)).pop();
+  return result ? result.action : 'none';
+}
+
+/**
+ * Test result of a backlog's completion
+ * Backlogs are completed after their tests ran, so the CRITERIA_VERIFIED entry
+ * logged just before the completion has it. Older logs completed backlogs
+ * first and ran the tests after.
+ * @param {number} index - Position of the BACKLOG_COMPLETED entry
+ * @param {number} previous - Position of the completion before it (-1 if none)
+ * @param {number} next - Position of the completion after it (log length if none)
+ * @returns {string} TESTS_* action, or 'none'
+ */
+function findCompletionTestStatus(log, backlogId, index, previous, next) {
+  const verification = log.slice(previous + 1, index)
+    .filter(entry => entry.action === 'CRITERIA_VERIFIED' && entry.backlogId === backlogId)
+    .pop();
+  if (verification) {
+    return verification.testsPassed ? 'TESTS_PASSED' : 'TESTS_FAILED';
+  }
+  return findTestStatus(log, index + 1, next);
+}
+
+function formatTaskLine(task) {
+  const files = (task.filesModified || []).map(f => `\`${f}\``).join(', ');
+  return `- Task ${task.taskNumber}: ${task.description}${files ? ` (${files})` : ''}`;
+}
+
+function formatCommitLine(commit) {
+  return `- \`${commit.sha.slice(0, 7)}\` ${commit.subject}`;
+}
+
+/**
+ * Markdown section for one completed backlog
+ */
+function formatBacklog(backlog, completion, tasks, testStatus, commits) {
+  const files = [...new Set(tasks.flatMap(task => task.filesModified || []))].sort();
+  const criteria = backlog.acceptance_criteria || [];
+  // Per-criterion results from the test step; older backlogs only have the test status
+  const criteriaStatus = new Map((backlog.criteria_status || []).map(s => [s.criterion, s.status]));
+  const met = criterion => criteriaStatus.has(criterion)
+    ? criteriaStatus.get(criterion) === 'verified'
+    : criteriaStatus.size === 0 && testStatus === 'TESTS_PASSED';
+  const lines = [
+    `## Backlog #${backlog.id}: ${backlog.title}`,
+    '',
+    `- **Completed:** ${(backlog.completed_at || completion.timestamp || '').slice(0, 10) || 'unknown'}`,
+    `- **Tests:** ${TEST_STATUS_LABELS[testStatus]}`
+  ];
+  
+  if (backlog.description) {
+    lines.push('', backlog.description);
+  }
+  
+  if (criteria.length > 0) {
+    lines.push('', `### Acceptance Criteria${criteria.every(met) ? '' : ' (not yet verified by passing tests)'}`, '');
+    criteria.forEach(criterion => lines.push(`- [${met(criterion) ? 'x' : ' '}] ${criterion}`));
+  }
+  
+  if (tasks.length > 0) {
+    lines.push('', '### Tasks', '');
+    tasks.forEach(task => lines.push(formatTaskLine(task)));
+  }
+  
+  if (files.length > 0) {
+    lines.push('', '### Files Changed', '');
+    files.forEach(file => lines.push(`- \`${file}\``));
+  }
+  
+  if (commits.length > 0) {
+    lines.push('', '### Commits', '');
+    commits.forEach(commit => lines.push(formatCommitLine(commit)));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Build the changelog Markdown
+ * @param {Object} options
+ * @param {string} options.projectName - Project name for the heading
+ * @param {Array} options.log - Project log entries (logs.json)
+ * @param {Array} options.backlogs - Backlogs from backlogs.json
+ * @param {Array} options.commits - Commits with trailers (findCommits)
+ * @param {string[]} options.recentCommits - One-line commits (getRecentCommits)
+ * @returns {{markdown: string, backlogCount: number}}
+ */
+export function buildChangelog({ projectName, log, backlogs, commits = [], recentCommits = [] }) {
+  const { created, completed } = collectTasks(log);
+  const currentBacklogs = new Map(backlogs.map(backlog => [backlog.id, backlog]));
+  
+  // Latest completion of each backlog that is still completed, newest first
+  const completions = new Map();
+  log.forEach((entry, index) => {
+    if (entry.action === 'BACKLOG_COMPLETED' && entry.backlog) {
+      completions.delete(entry.backlog.id);
+      completions.set(entry.backlog.id, { entry, index });
+    }
+  });
+  const delivered = [...completions.values()]
+    .filter(({ entry }) => currentBacklogs.get(entry.backlog.id)?.status === 'completed')
+    .reverse();
+  
+  const completionIndexes = [...completions.values()].map(c => c.index).sort((a, b) => a - b);
+  const backlogTaskNumbers = new Set();
+  
+  const sections = delivered.map(({ entry, index }) => {
+    const backlog = { ...entry.backlog, ...currentBacklogs.get(entry.backlog.id) };
+    const tasks = [...completed.values()]
+      .filter(task => created.get(task.taskNumber)?.requirement === backlog.description);
+    tasks.forEach(task => backlogTaskNumbers.add(task.taskNumber));
+    
+    const next = completionIndexes.find(i => i > index) ?? log.length;
+    const previous = completionIndexes.filter(i => i < index).pop() ?? -1;
+    const testStatus = findCompletionTestStatus(log, backlog.id, index, previous, next);
+    const backlogCommits = commits.filter(commit => commit.backlogId === backlog.id);
+    
+    return formatBacklog(backlog, entry, tasks, testStatus, backlogCommits);
+  });
+  
+  // Work from fix, refactor and task commands, grouped by requirement
+  const other = new Map();
+  [...completed.values()]
+    .filter(task => !backlogTaskNumbers.has(task.taskNumber))
+    .forEach(task => {
+      const requirement = created.get(task.taskNumber)?.requirement || 'Other';
+      other.set(requirement, [...(other.get(requirement) || []), task]);
+    });
+  
+  const lines = [
+    `# Changelog${projectName ? ` - ${projectName}` : ''}`,
+    '',
+    `_Generated from plan-build-test logs and git history on ${new Date().toISOString().slice(0, 10)}._`
+  ];
+  
+  if (sections.length === 0) {
+    lines.push('', 'No backlogs have been completed yet.');
+  }
+  sections.forEach(section => lines.push('', section));
+  
+  if (other.size > 0) {
+    lines.push('', '## Other Changes');
+    other.forEach((tasks, requirement) => {
+      lines.push('', `### ${requirement}`, '');
+      tasks.forEach(task => lines.push(formatTaskLine(task)));
+    });
+  }
+  
+  if (recentCommits.length > 0) {
+    lines.push('', '## Recent Commits', '');
+    recentCommits.forEach(line => {
+      const [sha, ...subject] = line.split(' ');
+      lines.push(`- \`${sha}\` ${subject.join(' ')}`);
+    });
+  }
+  
+  return { markdown: lines.join('\n') + '\n', backlogCount: sections.length };
+}
@@ -0,0 +1,132 @@
+/**
+ * Git checkpoints for tasks and backlogs
+ * A checkpoint commits and tags the working tree before a task or backlog
+ * starts, so its changes can be rolled back when it fails or on request.
+ * Rollbacks are logged so reverted tasks count as pending again.
+ */
+
+import { createCheckpoint, rollbackToCheckpoint } from './git-utils.js';
+import { Logger } from './logger.js';
+import { BACKLOGS_FILENAME, PLAN_BUILD_TEST_DIR } from './config.js';
+
+// Project state that must survive a rollback
+const ROLLBACK_KEEP_PATHS = [BACKLOGS_FILENAME, PLAN_BUILD_TEST_DIR];
+
+/**
+ * Whether checkpoints are taken (config "git.checkpoints", on by default)
+ */
+export function checkpointsEnabled(projectState) {
+  return projectState.getConfig().git?.checkpoints !== false && !projectState.isDryRun();
+}
+
+async function recordCheckpoint(projectState, fields, tag, message) {
+  const metadata = projectState.getCommitMetadata('Orchestrator', {
+    backlogId: fields.backlogId,
+    taskNumbers: fields.taskNumber ? [fields.taskNumber] : []
+  });
+  const ref = await createCheckpoint(projectState.projectPath, tag, message, metadata);
+  if (!ref) return null;
+  
+  const entry = { action: 'CHECKPOINT_CREATED', ...fields, tag, ref };
+  projectState.appendLog(entry);
+  return entry;
+}
+
+/**
+ * Checkpoint the project before a task starts
+ * @returns {Promise<Object|null>} The CHECKPOINT_CREATED entry, or null without git
+ */
+export async function createTaskCheckpoint(projectState, task) {
+  return recordCheckpoint(
+    projectState,
+    { kind: 'task', taskNumber: task.taskNumber, backlogId: projectState.activeContext.backlogId ?? null },
+    `pbt/task-${task.taskNumber}`,
+    `Checkpoint before task ${task.taskNumber}`
+  );
+}
+
+/**
+ * Checkpoint the project before a backlog starts
+ * @returns {Promise<Object|null>} The CHECKPOINT_CREATED entry, or null without git
+ */
+export async function createBacklogCheckpoint(projectState, backlog) {
+  return recordCheckpoint(
+    projectState,
+    { kind: 'backlog', taskNumber: null, backlogId: backlog.id },
+    `pbt/backlog-${backlog.id}`,
+    `Checkpoint before backlog #${backlog.id}`
+  );
+}
+
+/**
+ * List recorded checkpoints, most recent per tag
+ * @param {Array} log - Project log entries
+ * @returns {Array} CHECKPOINT_CREATED entries, oldest first
+ */
+export function getCheckpoints(log) {
+  const byTag = new Map();
+  log.filter(entry => entry.action === 'CHECKPOINT_CREATED').forEach(entry => {
+    byTag.delete(entry.tag);
+    byTag.set(entry.tag, entry);
+  });
+  return [...byTag.values()];
+}
+
+/**
+ * Roll the project back to a checkpoint and log which tasks and backlogs were reverted
+ * Tasks completed after the checkpoint (and the checkpointed task itself) become
+ * pending again; backlogs completed after it (and a checkpointed backlog) go back to pending.
+ * @param {ProjectState} projectState - Project state
+ * @param {Object} checkpoint - CHECKPOINT_CREATED entry
+ * @param {string} reason - Why the rollback happened
+ * @param {boolean} automatic - True when triggered by a failure rather than the user
+ * @returns {Promise<Object>} The ROLLBACK log entry
+ */
+export async function rollbackTo(projectState, checkpoint, reason, automatic = false) {
+  const log = projectState.getLog();
+  const index = log.findLastIndex(entry =>
+    entry.action === 'CHECKPOINT_CREATED' && entry.tag === checkpoint.tag && entry.ref === checkpoint.ref
+  );
+  const later = log.slice(index + 1);
+  
+  const revertedTasks = [...new Set([
+    ...(checkpoint.kind === 'task' ? [checkpoint.taskNumber] : []),
+    ...later.filter(entry => entry.action === 'COMPLETE_TASK').map(entry => entry.taskNumber)
+  ])];
+  const revertedBacklogs = [...new Set([
+    ...(checkpoint.kind === 'backlog' ? [checkpoint.backlogId] : []),
+    ...later.filter(entry => entry.action === 'BACKLOG_COMPLETED').map(entry => entry.backlog.id)
+  ])];
+  
+  Logger.warning(`Rolling back to ${checkpoint.tag} (${checkpoint.ref.slice(0, 7)})...`);
+  const { restored, removed } = await rollbackToCheckpoint(
+    projectState.projectPath,
+    checkpoint.ref,
+    ROLLBACK_KEEP_PATHS,
+    `Rollback to ${checkpoint.tag}`,
+    projectState.getCommitMetadata('Orchestrator', { taskNumbers: revertedTasks })
+  );
+  
+  revertedBacklogs.forEach(id => projectState.updateBacklogStatus(id, 'pending'));
+  
+  const entry = {
+    action: 'ROLLBACK',
+    checkpoint: checkpoint.tag,
+    ref: checkpoint.ref,
+    reason,
+    automatic,
+    revertedTasks,
+    revertedBacklogs,
+    restored,
+    removed
+  };
+  projectState.appendLog(entry);
+  projectState.appendTextLog(`ROLLBACK to ${checkpoint.tag}: ${reason}`);
+  
+  Logger.info(`Restored ${restored.length} file(s), removed ${removed.length} file(s)`, true);
+  if (revertedTasks.length > 0) {
+    Logger.info(`Tasks marked pending: ${revertedTasks.join(', ')}`, true);
+  }
+  
+  return entry;
+}
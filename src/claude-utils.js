@@ -1,28 +1,46 @@
-import { spawn } from 'child_process';
 import { writeFileSync, existsSync, readFileSync, readdirSync, statSync, unlinkSync } from 'fs';
 import { join } from 'path';
-import { TEMP_DIR, TEMP_FILE_PREFIX, CLAUDE_TIMEOUT, CLAUDE_MAX_RETRIES, CLAUDE_RETRY_DELAY } from './config.js';
+import { randomUUID } from 'crypto';
+import { TEMP_DIR, TEMP_FILE_PREFIX, CLAUDE_TIMEOUT, CLAUDE_MAX_RETRIES, CLAUDE_RETRY_DELAY, AGENT_REPAIR_MAX_ATTEMPTS } from './config.js';
 import { ensureDirExists } from './file-utils.js';
 import { logInfo, logError, logWarning } from './console-utils.js';
+import { getProviderForRole, resolveProviderSettings, getRoleKey } from './providers/index.js';
+import { getActiveCassette } from './cassette.js';
+import { buildUsageRecord } from './usage-tracker.js';
+import { extractJson } from './agent-parsers.js';
+import { validateAgentResponse } from './agent-schemas.js';
 
 /**
- * Call Claude CLI with a prompt
+ * Call the LLM provider configured for a role with a prompt
  */
 export async function callClaude(prompt, role, projectState = null, retryCount = 0) {
-  console.log(`  → Calling ${role}...${retryCount > 0 ? ` (retry ${retryCount}/${CLAUDE_MAX_RETRIES})` : ''}`);
+  const projectConfig = projectState ? projectState.getConfig() : {};
+  const { name: providerName } = resolveProviderSettings(role, projectConfig);
+  const viaProvider = providerName === 'claude-cli' ? '' : ` via ${providerName}`;
+  
+  console.log(`  → Calling ${role}${viaProvider}...${retryCount > 0 ? ` (retry ${retryCount}/${CLAUDE_MAX_RETRIES})` : ''}`);
   
   if (projectState) {
-    projectState.appendTextLog(`Calling ${role}...${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
+    projectState.appendTextLog(`Calling ${role}${viaProvider}...${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
     projectState.appendTextLog(`Prompt: ${prompt.substring(0, 500)}...`, false);
   }
   
+  // Serve from the cassette instead of calling the provider when replaying
+  const activeCassette = projectState ? getActiveCassette(projectState) : null;
+  if (activeCassette?.mode === 'replay') {
+    return replayFromCassette(activeCassette.cassette, prompt, role, projectState);
+  }
+  
   // Ensure .tmp directory exists
   ensureDirExists(TEMP_DIR);
   
   // Clean up old temp files (older than 1 hour)
   cleanupOldTempFiles();
   
-  const tmpFile = join(TEMP_DIR, `${TEMP_FILE_PREFIX}${Date.now()}.txt`);
+  // Unique per call: tasks built in parallel may start calls in the same millisecond
+  const tmpFile = join(TEMP_DIR, `${TEMP_FILE_PREFIX}${Date.now()}-${randomUUID().slice(0, 8)}.txt`);
+  const startTime = Date.now();
+  let provider = null;
   
   try {
     writeFileSync(tmpFile, prompt);
@@ -39,13 +57,14 @@ export async function callClaude(prompt, role, projectState = null, retryCount =
     // Read the file content first
     const promptContent = readFileSync(tmpFile, 'utf8');
     
-    // Run claude with the content using spawn for better control
-    const result = await runClaudeProcess(promptContent);
+    // Dispatch to the configured provider
+    provider = getProviderForRole(role, projectConfig);
+    const result = await provider.complete(promptContent, { role, roleKey: getRoleKey(role) });
     
     // Check for empty response
-    if (!result.stdout || result.stdout.trim().length === 0) {
-      logError('Empty response from Claude');
-      throw new Error('Empty response from Claude CLI');
+    if (!result.text || result.text.trim().length === 0) {
+      logError(`Empty response from ${provider.name}`);
+      throw new Error(`Empty response from ${provider.name} provider`);
     }
     
     // Clean up temp file
@@ -53,19 +72,32 @@ export async function callClaude(prompt, role, projectState = null, retryCount =
       unlinkSync(tmpFile); 
     } catch {}
     
-    console.log(`  ← ${role} completed`);
+    const usage = buildUsageRecord(promptContent, result.text, result.usage, Date.now() - startTime);
+    
+    console.log(`  ← ${role} completed (${usage.tokensEstimated ? '~' : ''}${usage.totalTokens} tokens)`);
     if (projectState) {
       projectState.appendTextLog(`${role} completed successfully`);
-      projectState.appendTextLog(`Response length: ${result.stdout.length} characters`, false);
+      projectState.appendTextLog(`Response length: ${result.text.length} characters`, false);
+      logAgentCall(projectState, role, provider.name, usage);
+    }
+    
+    if (activeCassette?.mode === 'record') {
+      activeCassette.cassette.record({
+        prompt,
+        role,
+        provider: provider.name,
+        response: result.text.trim(),
+        usage: result.usage || null
+      });
     }
     
-    return result.stdout.trim();
+    return result.text.trim();
     
   } catch (error) {
     logError(`${role} error: ${error.message}`);
     
     // More detailed error logging
-    if (error.code === 'ENOENT') {
+    if (error.code === 'ENOENT' && providerName === 'claude-cli') {
       logError('Command not found - is Claude CLI installed?');
     } else if (error.message.includes('timed out')) {
       logError(`Request timed out after ${CLAUDE_TIMEOUT / 1000} seconds`);
@@ -78,18 +110,25 @@ export async function callClaude(prompt, role, projectState = null, retryCount =
     }
     
     if (projectState) {
+      logAgentCall(projectState, role, providerName, {
+        ...buildUsageRecord(prompt, '', null, Date.now() - startTime),
+        failed: true
+      });
       projectState.appendTextLog(`ERROR: ${role} failed - ${error.message}`);
-      projectState.appendTextLog(`Error code: ${error.code || 'unknown'}`, false);
+      projectState.appendTextLog(`Provider: ${providerName}`, false);
+      projectState.appendTextLog(`Error code: ${error.code || error.status || 'unknown'}`, false);
       projectState.appendTextLog(`Failed prompt saved to: ${tmpFile}`, false);
     }
     
     // Save failed prompt for debugging
     logError(`Failed prompt saved to: ${tmpFile}`);
-    logInfo(`To retry manually: cat "${tmpFile}" | claude -p`);
+    if (provider?.manualRetryHint) {
+      logInfo(`To retry manually: ${provider.manualRetryHint(tmpFile)}`);
+    }
     
     // Show a preview of the prompt for debugging
     try {
-      const promptPreview = promptContent.substring(0, 300).replace(/\n/g, '\n     ');
+      const promptPreview = prompt.substring(0, 300).replace(/\n/g, '\n     ');
       logInfo('Prompt preview (first 300 chars):');
       console.error(`     ${promptPreview}...`);
     } catch (readError) {
@@ -98,7 +137,8 @@ export async function callClaude(prompt, role, projectState = null, retryCount =
     
     // Retry on certain errors
     if (retryCount < CLAUDE_MAX_RETRIES && 
-        (error.message.includes('timed out') || 
+        (error.retryable ||
+         error.message.includes('timed out') || 
          error.message.includes('ECONNRESET') ||
          error.message.includes('Empty response'))) {
       logWarning(`Retrying in ${CLAUDE_RETRY_DELAY / 1000} seconds...`);
@@ -111,61 +151,108 @@ export async function callClaude(prompt, role, projectState = null, retryCount =
 }
 
 /**
- * Run Claude process with better control
+ * Call an agent and validate its JSON response against the role schema
+ * Invalid responses are sent back to the agent with the validation errors
+ * for a bounded number of repair attempts. Returns the last raw response,
+ * so callers can still fall back to text parsing if repair fails.
+ * @param {string} prompt - Prompt text
+ * @param {string} role - Agent role (e.g. 'Architect')
+ * @param {string} schemaName - Key in AGENT_SCHEMAS (e.g. 'architect-backlogs')
+ * @param {ProjectState} projectState - Project state
+ * @returns {Promise<string>} Raw agent response
  */
-async function runClaudeProcess(promptContent) {
-  return new Promise((resolve, reject) => {
-    let stdout = '';
-    let stderr = '';
-    let timedOut = false;
-    
-    const claudeProcess = spawn('claude', ['-p'], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    
-    // Set timeout
-    const timeout = setTimeout(() => {
-      timedOut = true;
-      claudeProcess.kill('SIGTERM');
-    }, CLAUDE_TIMEOUT);
-    
-    // Send the prompt content to stdin
-    claudeProcess.stdin.write(promptContent);
-    claudeProcess.stdin.end();
+export async function callAgent(prompt, role, schemaName, projectState = null) {
+  const maxAttempts = projectState?.getConfig().validation?.maxRepairAttempts ?? AGENT_REPAIR_MAX_ATTEMPTS;
+  let response = await callClaude(prompt, role, projectState);
+  
+  for (let attempt = 1; ; attempt++) {
+    const { json, error } = extractJson(response);
+    const errors = json ? validateAgentResponse(json, schemaName) : [error];
     
-    // Collect output
-    claudeProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    if (errors.length === 0) {
+      if (attempt > 1 && projectState) {
+        projectState.appendLog({ action: 'SCHEMA_REPAIRED', role, schema: schemaName, attempts: attempt - 1 });
+      }
+      return response;
+    }
     
-    claudeProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    logWarning(`${role} response failed ${schemaName} schema validation (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    if (projectState) {
+      projectState.appendLog({
+        action: 'SCHEMA_VALIDATION_FAILED',
+        role,
+        schema: schemaName,
+        attempt,
+        errors: errors.slice(0, 20)
+      });
+    }
     
-    // Wait for process to complete
-    claudeProcess.on('close', (code) => {
-      clearTimeout(timeout);
-      
-      if (timedOut) {
-        reject(new Error(`Claude process timed out after ${CLAUDE_TIMEOUT / 1000} seconds`));
-      } else if (code !== 0) {
-        const error = new Error(`Claude process exited with code ${code}`);
-        error.code = code;
-        error.stdout = stdout;
-        error.stderr = stderr;
-        reject(error);
-      } else {
-        resolve({ stdout, stderr });
+    if (attempt > maxAttempts) {
+      logWarning(`Giving up on ${role} repair after ${maxAttempts} attempt(s)`);
+      if (projectState) {
+        projectState.appendLog({ action: 'SCHEMA_REPAIR_FAILED', role, schema: schemaName, attempts: maxAttempts });
       }
-    });
+      return response;
+    }
     
-    claudeProcess.on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
-    });
+    logInfo(`Asking ${role} to repair its response (attempt ${attempt}/${maxAttempts})...`);
+    response = await callClaude(buildRepairPrompt(prompt, response, errors), role, projectState);
+  }
+}
+
+/**
+ * Build the follow-up prompt asking an agent to correct its response
+ */
+function buildRepairPrompt(originalPrompt, response, errors) {
+  return `Your previous response did not match the required JSON format.
+
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Original instructions:
+${originalPrompt}
+
+Your previous response:
+${response}
+
+Reply with the corrected, complete JSON only, in a \`\`\`json code block. Keep everything that was valid.`;
+}
+
+/**
+ * Record an agent call with its usage in logs.json
+ */
+function logAgentCall(projectState, role, providerName, usage) {
+  const { taskNumber = null, ...context } = projectState.activeContext;
+  
+  projectState.appendLog({
+    action: 'AGENT_CALL',
+    role,
+    provider: providerName,
+    sessionId: projectState.sessionId,
+    ...context,
+    taskNumber,
+    ...usage
   });
 }
 
+/**
+ * Serve a recorded response from the cassette
+ */
+function replayFromCassette(cassette, prompt, role, projectState) {
+  const interaction = cassette.find(prompt, role);
+  
+  if (!interaction) {
+    const message = `No recorded response for ${role} in cassette ${cassette.filePath}`;
+    projectState.appendTextLog(`ERROR: ${message}`);
+    throw new Error(message);
+  }
+  
+  console.log(`  ← ${role} replayed from cassette`);
+  projectState.appendTextLog(`${role} replayed from cassette (recorded ${interaction.recorded_at})`);
+  
+  return interaction.response;
+}
+
 /**
  * Clean up old temporary files
  */
@@ -0,0 +1,190 @@
+/**
+ * Code map (symbol index) for generated projects
+ * Records for each project file its exports, functions, Express routes,
+ * HTML element ids and CSS classes, and which files it references. The map
+ * is stored in plan-build-test/code-map.json and refreshed incrementally:
+ * only files whose size or modification time changed are re-read.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { join, posix } from 'path';
+import { readJsonFile, writeJsonFile, scanProjectFiles } from './file-utils.js';
+import { getFileFilterSettings } from './file-filter.js';
+import { CODE_MAP_FILENAME } from './config.js';
+
+const CODE_MAP_VERSION = 1;
+const RESOLVE_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.ts', '.json', '/index.js'];
+
+// Fields listed for each file, in display order
+const SYMBOL_FIELDS = [
+  ['exports', 'exports'],
+  ['functions', 'functions'],
+  ['routes', 'routes'],
+  ['ids', 'element ids'],
+  ['classes', 'CSS classes']
+];
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Project files a file references: ES imports, require() calls and HTML script/link tags
+ * @param {string} path - File path relative to the project root
+ * @param {string} content - File content
+ * @param {Set<string>} knownPaths - All project file paths
+ * @returns {string[]} Referenced project paths
+ */
+export function findReferences(path, content, knownPaths) {
+  const specifiers = [
+    ...content.matchAll(/\b(?:import|export)\s[^'"`]*?from\s*['"]([^'"]+)['"]/g),
+    ...content.matchAll(/\bimport\s*\(?\s*['"]([^'"]+)['"]/g),
+    ...content.matchAll(/\brequire\(\s*['"]([^'"]+)['"]\s*\)/g),
+    ...content.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)=["']([^"'#?]+)["']/g)
+  ].map(match => match[1]);
+  
+  const baseDir = posix.dirname(path);
+  const isHtml = path.endsWith('.html');
+  return unique(specifiers.flatMap(specifier => {
+    const isRelative = specifier.startsWith('.');
+    // Package imports and URLs are not project files
+    if (/^[a-z]+:/i.test(specifier) || (!isRelative && !isHtml)) return [];
+    // HTML references are relative to the page, or to a static root such as public/
+    const bases = isRelative ? [baseDir] : [baseDir, 'public', ''];
+    
+    for (const base of bases) {
+      const candidate = posix.normalize(posix.join(base, specifier.replace(/^\//, '')));
+      const match = RESOLVE_EXTENSIONS.map(ext => candidate + ext).find(p => knownPaths.has(p));
+      if (match) return [match];
+    }
+    return [];
+  }));
+}
+
+/**
+ * Extract the symbols of one file
+ * @param {string} path - File path relative to the project root
+ * @param {string} content - File content
+ * @param {Set<string>} knownPaths - All project file paths (for references)
+ * @returns {Object} {exports, functions, routes, ids, classes, references}
+ */
+export function extractSymbols(path, content, knownPaths) {
+  const collect = regex => unique([...content.matchAll(regex)].map(m => m[1]));
+  const isCss = path.endsWith('.css');
+  
+  return {
+    exports: unique([
+      ...collect(/\bexport\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+([\w$]+)/g),
+      ...collect(/\bexport\s*\{([^}]+)\}/g).flatMap(list => list.split(',').map(s => s.trim().split(/\s+as\s+/).pop())),
+      ...collect(/\bmodule\.exports\.([\w$]+)\s*=/g),
+      ...collect(/(?<!\.)\bexports\.([\w$]+)\s*=/g),
+      ...(/\bmodule\.exports\s*=/.test(content) ? ['module.exports'] : [])
+    ]),
+    functions: collect(/\bfunction\s+([\w$]+)\s*\(/g),
+    routes: unique([...content.matchAll(/\b(?:app|router)\.(get|post|put|patch|delete|all)\(\s*['"`]([^'"`]+)['"`]/g)]
+      .map(m => `${m[1].toUpperCase()} ${m[2]}`)),
+    ids: isCss
+      ? collect(/#([a-zA-Z_][\w-]*)(?=[^{}]*\{)/g)
+      : collect(/\bid=["']([^"'$]+)["']/g),
+    classes: isCss
+      ? collect(/\.(-?[a-zA-Z_][\w-]*)(?=[^{}]*\{)/g)
+      : unique(collect(/\bclass(?:Name)?=["']([^"'$]+)["']/g).flatMap(list => list.split(/\s+/))),
+    references: findReferences(path, content, knownPaths)
+  };
+}
+
+// Kept with the code (each worktree has its own), not with the project logs
+function getCodeMapFile(projectState) {
+  return join(projectState.projectPath, 'plan-build-test', CODE_MAP_FILENAME);
+}
+
+/**
+ * Bring the code map up to date with the project files
+ * Unchanged files keep their entries; when files are added or removed every
+ * file is re-indexed so references stay correct. In a dry run the proposed
+ * file contents are indexed in memory and nothing is saved.
+ * @param {ProjectState} projectState - Project state
+ * @param {string[]} changedPaths - Files known to have changed (always re-indexed)
+ * @returns {{version: number, updatedAt: string, files: Object}} The code map
+ */
+export function refreshCodeMap(projectState, changedPaths = []) {
+  const projectPath = projectState.projectPath;
+  const stored = readJsonFile(getCodeMapFile(projectState));
+  const previous = stored?.version === CODE_MAP_VERSION ? stored.files : {};
+  
+  const { files: paths, excluded } = scanProjectFiles(projectPath, getFileFilterSettings(projectState));
+  projectState.reportExcludedFiles(excluded);
+  
+  const knownPaths = new Set(paths);
+  projectState.proposal?.files.forEach((_, path) => knownPaths.add(path));
+  const sameFiles = knownPaths.size === Object.keys(previous).length && Object.keys(previous).every(p => knownPaths.has(p));
+  
+  const files = {};
+  let changed = !sameFiles;
+  
+  paths.forEach(path => {
+    const { size, mtimeMs } = statSync(join(projectPath, path));
+    const entry = previous[path];
+    if (sameFiles && entry && entry.size === size && entry.mtimeMs === mtimeMs && !changedPaths.includes(path)) {
+      files[path] = entry;
+      return;
+    }
+    
+    try {
+      const content = readFileSync(join(projectPath, path), 'utf8');
+      files[path] = { size, mtimeMs, ...extractSymbols(path, content, knownPaths) };
+      changed = true;
+    } catch {
+      // Skip files that can't be read
+    }
+  });
+  
+  const map = { version: CODE_MAP_VERSION, updatedAt: stored?.updatedAt || null, files };
+  
+  if (projectState.isDryRun()) {
+    projectState.proposal.files.forEach(({ after }, path) => {
+      map.files[path] = { size: after.length, mtimeMs: null, ...extractSymbols(path, after, knownPaths) };
+    });
+  } else if (changed || !stored) {
+    map.updatedAt = new Date().toISOString();
+    writeJsonFile(getCodeMapFile(projectState), map);
+  }
+  
+  return map;
+}
+
+/**
+ * Files that reference each file
+ * @returns {Map<string, string[]>} path -> referencing paths
+ */
+function findReferrers(map) {
+  const referrers = new Map();
+  Object.entries(map.files).forEach(([path, entry]) => {
+    entry.references.forEach(target => referrers.set(target, [...(referrers.get(target) || []), path]));
+  });
+  return referrers;
+}
+
+/**
+ * Render the code map as text, one block per file
+ * @param {Object} map - Code map from refreshCodeMap
+ * @param {string[]} paths - Limit to these files (defaults to all)
+ * @returns {string}
+ */
+export function formatCodeMap(map, paths = Object.keys(map.files).sort()) {
+  const referrers = findReferrers(map);
+  
+  return paths
+    .filter(path => map.files[path])
+    .map(path => {
+      const entry = map.files[path];
+      const lines = [path];
+      SYMBOL_FIELDS.forEach(([field, label]) => {
+        if (entry[field].length > 0) lines.push(`  ${label}: ${entry[field].join(', ')}`);
+      });
+      if (entry.references.length > 0) lines.push(`  references: ${entry.references.join(', ')}`);
+      if (referrers.has(path)) lines.push(`  referenced by: ${referrers.get(path).join(', ')}`);
+      return lines.join('\n');
+    })
+    .join('\n');
+}
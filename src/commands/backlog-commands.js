@@ -1,15 +1,33 @@
 /**
  * Backlog management commands
- * Handles all backlog-related operations including add, list, reset, and process
+ * Handles all backlog-related operations including add, list, edit, reset, and process
  */
 
+import { existsSync } from 'fs';
 import { Logger } from '../logger.js';
-import { getAllProjectFilesWithContent } from '../file-utils.js';
-import { callClaude } from '../claude-utils.js';
+import { buildProjectContext } from '../context-builder.js';
+import { callClaude, callAgent } from '../claude-utils.js';
+import { parseBacklogItem, parseBacklogSplit } from '../agent-parsers.js';
+import { loadAndProcessTemplate } from '../template-utils.js';
+import { ask } from '../interactive.js';
+import { summarizeUsage, formatUsage } from '../usage-tracker.js';
+import { BudgetExceededError, enforceBudget, reportBudgetExceeded } from '../budget.js';
+import { checkpointsEnabled, createBacklogCheckpoint } from '../checkpoints.js';
+import {
+  getBranchSettings, startBacklogBranch, returnToBaseBranch,
+  startBacklogWorktree, mergeBacklogWorktree, closeBacklogWorktree
+} from '../backlog-branches.js';
+import { isGitInitialized, commitAll } from '../git-utils.js';
+import { formatDuration } from '../console-utils.js';
+import { BacklogGraphError, findNewGraphProblems } from '../backlog-graph.js';
+import { summarizeCriteria } from '../acceptance-criteria.js';
+import {
+  PARALLEL_MAX_BACKLOGS, PROCESS_ALL_MAX_FAILURES, BACKLOG_PRIORITIES, BACKLOG_EFFORTS, BACKLOG_MAX_ACCEPTANCE_CRITERIA
+} from '../config.js';
 
 // Import agent functions that will be moved later
 // TODO: Update these imports after agents are extracted
-import { runArchitect, runCoderTasks } from '../orchestrator-execution.js';
+import { runArchitect, runCoderTasks, runTests, verifyWithTests, completeBacklog } from '../orchestrator-execution.js';
 
 /**
  * Wrapper for callClaude to maintain compatibility
@@ -18,36 +36,133 @@ async function callClaudeWrapper(prompt, role, projectState = null, retryCount =
   return callClaude(prompt, role, projectState, retryCount);
 }
 
+/**
+ * One line per backlog for Architect prompts
+ */
+function formatBacklogList(backlogs) {
+  return backlogs.length > 0
+    ? backlogs.map(b => `#${b.id} ${b.title} [${b.status}, ${b.priority}] - ${b.description}`).join('\n')
+    : 'None yet';
+}
+
+/**
+ * Ask the Architect to turn a free-text request into a backlog item
+ * @returns {Promise<{backlog: Object, tooLarge: boolean, split: Array}|null>} Null without a usable answer
+ */
+async function describeBacklog(projectState, description, backlogsData) {
+  try {
+    enforceBudget(projectState);
+    const response = await callAgent(
+      loadAndProcessTemplate('architect-backlog-item', {
+        description,
+        projectSummary: backlogsData.project_summary || 'Not recorded',
+        backlogs: formatBacklogList(backlogsData.backlogs)
+      }),
+      'Architect',
+      'architect-backlog-item',
+      projectState
+    );
+    return parseBacklogItem(response);
+  } catch (error) {
+    if (error instanceof BudgetExceededError) reportBudgetExceeded(projectState, error);
+    Logger.warning(`Architect could not describe the backlog (${error.message}); adding it as written`);
+    return null;
+  }
+}
+
+/**
+ * Backlog fields from an Architect item, keeping only dependencies on existing backlogs
+ */
+function toBacklogFields(item, existingIds) {
+  const dependencies = (item.dependencies || []).filter(dep => existingIds.includes(dep));
+  if (dependencies.length < (item.dependencies || []).length) {
+    Logger.warning(`Ignoring unknown dependencies of "${item.title}": ${item.dependencies.filter(dep => !dependencies.includes(dep)).join(', ')}`);
+  }
+  
+  return {
+    title: item.title,
+    description: item.description,
+    priority: item.priority,
+    estimated_effort: item.estimated_effort,
+    dependencies,
+    acceptance_criteria: item.acceptance_criteria || []
+  };
+}
+
 /**
  * Execute add-backlog command
+ * The Architect turns the description into a full backlog item consistent
+ * with the existing list; the description itself is kept as raw_description.
+ * If the Architect finds it too large, its proposed parts are added instead
+ * when state.split is set or the user agrees (--interactive). Without an
+ * Architect answer the description is added as written.
  */
 export async function executeAddBacklog(projectState, requirement, state) {
   Logger.section('Adding new backlog item...', '📋');
   
   // Load existing backlogs
-  let backlogsData = projectState.getBacklogsData() || { backlogs: [] };
+  const backlogsData = projectState.getBacklogsData() || { backlogs: [] };
+  const existingIds = backlogsData.backlogs.map(b => b.id);
   
   // Extract the backlog description from requirement
   const backlogDescription = requirement.replace(/^Add backlog:\s*/i, '');
   
-  // Create simple backlog entry (could enhance with AI later)
-  const newBacklog = projectState.addBacklog({
-    title: backlogDescription.split(' ').slice(0, 4).join(' '),
-    description: backlogDescription,
-    priority: 'medium',
-    estimated_effort: 'medium',
-    dependencies: [],
-    acceptance_criteria: []
-  });
+  const proposal = await describeBacklog(projectState, backlogDescription, backlogsData);
+  let items = [proposal
+    ? toBacklogFields(proposal.backlog, existingIds)
+    : {
+      title: backlogDescription.split(' ').slice(0, 4).join(' '),
+      description: backlogDescription,
+      priority: 'medium',
+      estimated_effort: 'medium',
+      dependencies: [],
+      acceptance_criteria: []
+    }];
   
-  Logger.success('Added new backlog item:');
-  Logger.command(`${newBacklog.id}. ${newBacklog.title}`);
-  Logger.command(`   ${newBacklog.description}`);
-  console.log(''); // Empty line
+  if (proposal?.tooLarge) {
+    Logger.warning(`The Architect suggests splitting this into ${proposal.split.length} backlogs:`);
+    proposal.split.forEach((part, i) => {
+      Logger.command(`${i + 1}. ${part.title} [${part.priority}, ${part.estimated_effort}] - ${part.description}`);
+    });
+    
+    const split = state.split
+      || (state.interactive && (await ask(`Split into ${proposal.split.length} backlogs? [y/N]`)).toLowerCase() === 'y');
+    if (split) {
+      items = proposal.split.map(part => ({ ...toBacklogFields(part, existingIds), parts: part.depends_on_parts || [] }));
+    } else {
+      // Flagged so process-backlog suggests splitting it before it starts
+      items[0].too_large = true;
+      Logger.info('Adding it as one backlog (add --split to add the parts instead)');
+    }
+    console.log(''); // Empty line
+  }
   
-  projectState.appendLog({
-    action: 'BACKLOG_ADDED',
-    backlog: newBacklog
+  const added = [];
+  items.forEach(({ parts = [], ...fields }) => {
+    // Parts refer to earlier parts by position
+    const partIds = parts.filter(n => n >= 1 && n <= added.length).map(n => added[n - 1].id);
+    const newBacklog = projectState.addBacklog({
+      ...fields,
+      dependencies: [...new Set([...fields.dependencies, ...partIds])],
+      raw_description: backlogDescription
+    });
+    added.push(newBacklog);
+    
+    Logger.success('Added new backlog item:');
+    Logger.command(`${newBacklog.id}. ${newBacklog.title} [${newBacklog.priority}, ${newBacklog.estimated_effort}]`);
+    Logger.command(`   ${newBacklog.description}`);
+    newBacklog.acceptance_criteria.forEach(criterion => Logger.command(`   - ${criterion}`));
+    if (newBacklog.dependencies.length > 0) {
+      Logger.command(`   Depends on: ${newBacklog.dependencies.join(', ')}`);
+    }
+    console.log(''); // Empty line
+    
+    projectState.appendLog({
+      action: 'BACKLOG_ADDED',
+      backlog: newBacklog,
+      enriched: Boolean(proposal),
+      split: items.length > 1
+    });
   });
 }
 
@@ -64,6 +179,8 @@ export async function executeListBacklogs(projectState, requirement, state) {
   
   Logger.section(`Project Backlogs (${backlogsData.backlogs.length} items)`, '📋');
   
+  const usage = summarizeUsage(projectState.getLog());
+  
   // Show in-progress items first
   const inProgress = backlogsData.backlogs.filter(b => b.status === 'in_progress');
   const pending = backlogsData.backlogs.filter(b => b.status === 'pending');
@@ -80,7 +197,7 @@ export async function executeListBacklogs(projectState, requirement, state) {
   // Show all backlogs with status
   Logger.info('All Backlogs:');
   backlogsData.backlogs.forEach(b => {
-    const checkbox = b.status === 'completed' ? '✅' : '⬜';
+    const checkbox = b.status === 'completed' ? '✅' : b.status === 'blocked' ? '⛔' : '⬜';
     const statusIndicator = b.status === 'in_progress' ? ' 🔄' : '';
     Logger.command(`${checkbox} ${b.id}. ${b.title} [${b.priority}]${statusIndicator}`);
     
@@ -89,6 +206,18 @@ export async function executeListBacklogs(projectState, requirement, state) {
       Logger.command(`   ${b.description}`);
     }
     
+    if (b.status === 'blocked') {
+      Logger.warning(`Blocked: ${b.blocked_reason || 'unknown reason'} (reset with npm run reset-backlog ${b.id})`, true);
+    }
+    
+    if (b.criteria_status?.length > 0) {
+      Logger.command(`   Acceptance criteria: ${summarizeCriteria(b.criteria_status)}`);
+    }
+    
+    if (usage.byBacklog[b.id]) {
+      Logger.command(`   Usage: ${formatUsage(usage.byBacklog[b.id])}`);
+    }
+    
     if (b.dependencies && b.dependencies.length > 0) {
       // Check if dependencies are met
       const completedIds = completed.map(c => c.id);
@@ -101,6 +230,7 @@ export async function executeListBacklogs(projectState, requirement, state) {
   
   console.log(''); // Empty line
   
+  Logger.info(`Project usage: ${formatUsage(usage.total)}`);
   Logger.info('Use "npm run process-backlog [id]" to work on a specific backlog');
 }
 
@@ -128,6 +258,403 @@ export async function executeResetBacklog(projectState, requirement, state) {
   Logger.success(`Reset backlog #${backlogToReset.id}: ${backlogToReset.title} to pending status`);
 }
 
+/**
+ * Find a backlog by id, reporting when there is none
+ * @returns {{backlogsData: Object, backlog: Object}|null}
+ */
+function loadBacklog(projectState, backlogId) {
+  const backlogsData = projectState.getBacklogsData();
+  
+  if (!backlogsData) {
+    Logger.warning('No backlogs found. Create a project first with npm run create-project');
+    return null;
+  }
+  
+  const backlog = backlogsData.backlogs.find(b => b.id === parseInt(backlogId));
+  if (!backlog) {
+    console.error(`Backlog #${backlogId} not found`);
+    return null;
+  }
+  
+  return { backlogsData, backlog };
+}
+
+/**
+ * Check edited backlog fields
+ * @returns {string|null} What is wrong, or null if the changes are valid
+ */
+function validateBacklogChanges(backlogsData, backlog, changes) {
+  for (const field of ['title', 'description']) {
+    if (field in changes && !changes[field]?.trim()) return `The ${field} can't be empty`;
+  }
+  if ('priority' in changes && !BACKLOG_PRIORITIES.includes(changes.priority)) {
+    return `Priority must be one of: ${BACKLOG_PRIORITIES.join(', ')}`;
+  }
+  if ('estimated_effort' in changes && !BACKLOG_EFFORTS.includes(changes.estimated_effort)) {
+    return `Effort must be one of: ${BACKLOG_EFFORTS.join(', ')}`;
+  }
+  if ('dependencies' in changes) {
+    const edited = backlogsData.backlogs.map(b => b.id === backlog.id ? { ...b, dependencies: changes.dependencies } : b);
+    const problems = findNewGraphProblems(edited, backlogsData.backlogs);
+    if (problems.length > 0) return `Invalid dependencies: ${problems.join('; ')}`;
+  }
+  // Tasks of a backlog are looked up by its description when it is resumed
+  if ('description' in changes && backlog.status === 'in_progress') {
+    return `Backlog #${backlog.id} is in progress; finish it or reset it (npm run reset-backlog ${backlog.id}) before changing the description`;
+  }
+  return null;
+}
+
+function formatBacklogValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(value.every(Number.isInteger) ? ', ' : '; ') : '(none)';
+  return value ?? '(none)';
+}
+
+/**
+ * Execute edit-backlog command
+ * state.backlogId: backlog to edit
+ * state.changes: fields to set (title, description, priority, estimated_effort,
+ * acceptance_criteria, dependencies)
+ */
+export async function executeEditBacklog(projectState, requirement, state) {
+  const found = loadBacklog(projectState, state.backlogId);
+  if (!found) return;
+  const { backlogsData, backlog } = found;
+  
+  const changes = Object.fromEntries(Object.entries(state.changes || {})
+    .filter(([field, value]) => JSON.stringify(backlog[field]) !== JSON.stringify(value)));
+  
+  if (Object.keys(changes).length === 0) {
+    Logger.info(`Nothing to change for backlog #${backlog.id}`);
+    return;
+  }
+  
+  const error = validateBacklogChanges(backlogsData, backlog, changes);
+  if (error) {
+    Logger.error(error);
+    return;
+  }
+  
+  const history = Object.fromEntries(Object.keys(changes).map(field => [field, { from: backlog[field] ?? null, to: changes[field] }]));
+  const updated = projectState.updateBacklog(backlog.id, changes);
+  
+  Logger.success(`Updated backlog #${updated.id}: ${updated.title}`);
+  Object.entries(history).forEach(([field, { from, to }]) => {
+    Logger.command(`${field}: ${formatBacklogValue(from)} → ${formatBacklogValue(to)}`);
+  });
+  
+  projectState.appendLog({
+    action: 'BACKLOG_EDITED',
+    backlogId: updated.id,
+    changes: history
+  });
+}
+
+/**
+ * Execute set-priority command
+ * state.backlogId: backlog to change
+ * state.priority: high, medium or low
+ */
+export async function executeSetPriority(projectState, requirement, state) {
+  await executeEditBacklog(projectState, requirement, { ...state, changes: { priority: state.priority } });
+}
+
+/**
+ * Execute delete-backlog command
+ * Backlogs that depend on the deleted one block the deletion unless
+ * state.rewire is set; they then depend on its dependencies instead.
+ * state.backlogId: backlog to delete
+ */
+export async function executeDeleteBacklog(projectState, requirement, state) {
+  const found = loadBacklog(projectState, state.backlogId);
+  if (!found) return;
+  const { backlogsData, backlog } = found;
+  
+  if (backlog.status === 'in_progress') {
+    Logger.error(`Backlog #${backlog.id} is in progress; reset it first (npm run reset-backlog ${backlog.id})`);
+    return;
+  }
+  
+  const dependents = backlogsData.backlogs.filter(b => b.dependencies?.includes(backlog.id));
+  if (dependents.length > 0 && !state.rewire) {
+    Logger.error(`Backlog #${backlog.id} is a dependency of ${dependents.map(b => `#${b.id} ${b.title}`).join(', ')}`);
+    Logger.info(`Use "npm run delete-backlog -- ${backlog.id} --rewire" to make them depend on ${backlog.dependencies?.length > 0 ? backlog.dependencies.map(dep => `#${dep}`).join(', ') : 'nothing'} instead`);
+    return;
+  }
+  
+  const { rewired } = projectState.removeBacklog(backlog.id);
+  
+  Logger.success(`Deleted backlog #${backlog.id}: ${backlog.title}`);
+  projectState.getBacklogsData().backlogs
+    .filter(b => rewired.includes(b.id))
+    .forEach(b => Logger.command(`#${b.id} now depends on: ${formatBacklogValue(b.dependencies)}`));
+  
+  projectState.appendLog({
+    action: 'BACKLOG_DELETED',
+    backlog,
+    rewired
+  });
+}
+
+/**
+ * Execute move-backlog command
+ * Pending backlogs are picked in list order, so moving one changes when it is built.
+ * state.backlogId: backlog to move
+ * state.targetId: backlog to move it next to
+ * state.position: 'before' (default) or 'after' the target
+ */
+export async function executeMoveBacklog(projectState, requirement, state) {
+  const found = loadBacklog(projectState, state.backlogId);
+  if (!found) return;
+  const { backlog } = found;
+  
+  const target = loadBacklog(projectState, state.targetId)?.backlog;
+  if (!target) return;
+  
+  if (target.id === backlog.id) {
+    Logger.error('A backlog can\'t be moved next to itself');
+    return;
+  }
+  
+  const position = state.position === 'after' ? 'after' : 'before';
+  const { from, to } = projectState.moveBacklog(backlog.id, target.id, position);
+  
+  Logger.success(`Moved backlog #${backlog.id} ${position} #${target.id} (position ${from} → ${to})`);
+  
+  projectState.appendLog({
+    action: 'BACKLOG_MOVED',
+    backlogId: backlog.id,
+    targetId: target.id,
+    position,
+    from,
+    to
+  });
+}
+
+/**
+ * Ask the Architect for the parts of an existing backlog
+ * @returns {Promise<Array|null>} Parts in build order, or null without a usable answer
+ */
+async function proposeBacklogSplit(projectState, backlog, backlogsData) {
+  const details = [
+    `#${backlog.id} ${backlog.title} [${backlog.priority}, ${backlog.estimated_effort}]`,
+    backlog.description,
+    `Depends on: ${formatBacklogValue(backlog.dependencies || [])}`,
+    'Acceptance criteria:',
+    ...(backlog.acceptance_criteria || []).map(criterion => `- ${criterion}`)
+  ].join('\n');
+  
+  try {
+    enforceBudget(projectState);
+    const response = await callAgent(
+      loadAndProcessTemplate('architect-backlog-split', {
+        backlog: details,
+        projectSummary: backlogsData.project_summary || 'Not recorded',
+        backlogs: formatBacklogList(backlogsData.backlogs.filter(b => b.id !== backlog.id))
+      }),
+      'Architect',
+      'architect-backlog-split',
+      projectState
+    );
+    return parseBacklogSplit(response);
+  } catch (error) {
+    if (error instanceof BudgetExceededError) reportBudgetExceeded(projectState, error);
+    Logger.error(`Architect could not split backlog #${backlog.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Why a backlog can't be split or merged
+ * @returns {string|null} What is wrong, or null if it can be changed
+ */
+function checkRestructurable(backlog) {
+  if (backlog.status === 'in_progress') {
+    return `Backlog #${backlog.id} is in progress; reset it first (npm run reset-backlog ${backlog.id})`;
+  }
+  if (backlog.status === 'completed') {
+    return `Backlog #${backlog.id} is already completed`;
+  }
+  return null;
+}
+
+/**
+ * Execute split-backlog command
+ * The Architect breaks the backlog into smaller ones in its place. Every
+ * acceptance criterion of the original ends up in one of the parts, parts
+ * without earlier parts to wait for keep its dependencies, and backlogs that
+ * depended on it depend on the last parts instead.
+ * state.backlogId: backlog to split
+ */
+export async function executeSplitBacklog(projectState, requirement, state) {
+  const found = loadBacklog(projectState, state.backlogId);
+  if (!found) return;
+  const { backlogsData, backlog } = found;
+  
+  const refusal = checkRestructurable(backlog);
+  if (refusal) {
+    Logger.error(refusal);
+    return;
+  }
+  
+  Logger.section(`Splitting backlog #${backlog.id}: ${backlog.title}`, '✂️');
+  
+  const proposal = await proposeBacklogSplit(projectState, backlog, backlogsData);
+  if (!proposal) return;
+  
+  const otherIds = backlogsData.backlogs.map(b => b.id).filter(id => id !== backlog.id);
+  const parts = proposal.map(part => {
+    const fields = toBacklogFields(part, otherIds);
+    const earlier = part.depends_on_parts || [];
+    return {
+      ...fields,
+      dependencies: earlier.length > 0 ? fields.dependencies : [...new Set([...(backlog.dependencies || []), ...fields.dependencies])],
+      parts: earlier,
+      ...(backlog.raw_description && { raw_description: backlog.raw_description })
+    };
+  });
+  
+  const missing = (backlog.acceptance_criteria || [])
+    .filter(criterion => !parts.some(part => part.acceptance_criteria.includes(criterion)));
+  if (missing.length > 0) {
+    Logger.warning(`Adding ${missing.length} acceptance criteria the Architect left out to "${parts[parts.length - 1].title}"`);
+    parts[parts.length - 1].acceptance_criteria.push(...missing);
+  }
+  
+  let result;
+  try {
+    result = projectState.splitBacklog(backlog.id, parts);
+  } catch (error) {
+    if (!(error instanceof BacklogGraphError)) throw error;
+    Logger.error(`Can't split backlog #${backlog.id}: ${error.problems.join('; ')}`);
+    return;
+  }
+  
+  Logger.success(`Split backlog #${backlog.id} into ${result.parts.length} backlogs:`);
+  result.parts.forEach(part => {
+    Logger.command(`${part.id}. ${part.title} [${part.priority}, ${part.estimated_effort}] - ${part.description}`);
+    part.acceptance_criteria.forEach(criterion => Logger.command(`   - ${criterion}`));
+    if (part.dependencies.length > 0) {
+      Logger.command(`   Depends on: ${part.dependencies.join(', ')}`);
+    }
+  });
+  projectState.getBacklogsData().backlogs
+    .filter(b => result.rewired.includes(b.id))
+    .forEach(b => Logger.command(`#${b.id} now depends on: ${formatBacklogValue(b.dependencies)}`));
+  
+  projectState.appendLog({
+    action: 'BACKLOG_SPLIT',
+    backlog,
+    parts: result.parts.map(part => part.id),
+    rewired: result.rewired
+  });
+}
+
+/**
+ * Execute merge-backlogs command
+ * Small backlogs are combined into one new backlog in the place of the first:
+ * titles, descriptions and acceptance criteria are joined, the highest
+ * priority is kept, efforts add up, and backlogs that depended on any of them
+ * depend on the merged one.
+ * state.backlogIds: backlogs to merge (two or more)
+ * state.title: title of the merged backlog (default: the titles joined)
+ */
+export async function executeMergeBacklogs(projectState, requirement, state) {
+  const backlogIds = [...new Set((state.backlogIds || []).map(id => parseInt(id)))];
+  if (backlogIds.length < 2) {
+    Logger.error('Give at least two backlogs to merge');
+    return;
+  }
+  
+  const backlogs = [];
+  for (const backlogId of backlogIds) {
+    const found = loadBacklog(projectState, backlogId);
+    if (!found) return;
+    
+    const refusal = checkRestructurable(found.backlog);
+    if (refusal) {
+      Logger.error(refusal);
+      return;
+    }
+    backlogs.push(found.backlog);
+  }
+  
+  const effort = backlogs.reduce((total, b) => total + BACKLOG_EFFORTS.indexOf(b.estimated_effort) + 1, 0);
+  // A missing or unknown priority counts as medium
+  const priorityRank = b => BACKLOG_PRIORITIES.indexOf(BACKLOG_PRIORITIES.includes(b.priority) ? b.priority : 'medium');
+  const fields = {
+    title: state.title || backlogs.map(b => b.title).join(' & '),
+    description: backlogs.map(b => b.description).join('; '),
+    priority: BACKLOG_PRIORITIES[Math.min(...backlogs.map(priorityRank))],
+    estimated_effort: BACKLOG_EFFORTS[Math.min(effort, BACKLOG_EFFORTS.length) - 1],
+    dependencies: [...new Set(backlogs.flatMap(b => b.dependencies || []))].filter(dep => !backlogIds.includes(dep)),
+    acceptance_criteria: [...new Set(backlogs.flatMap(b => b.acceptance_criteria || []))]
+  };
+  
+  let result;
+  try {
+    result = projectState.mergeBacklogs(backlogIds, fields);
+  } catch (error) {
+    if (!(error instanceof BacklogGraphError)) throw error;
+    Logger.error(`Can't merge ${backlogIds.map(id => `#${id}`).join(', ')}: ${error.problems.join('; ')}`);
+    return;
+  }
+  
+  const { backlog: merged, rewired } = result;
+  Logger.success(`Merged ${backlogIds.map(id => `#${id}`).join(', ')} into backlog #${merged.id}:`);
+  Logger.command(`${merged.id}. ${merged.title} [${merged.priority}, ${merged.estimated_effort}]`);
+  Logger.command(`   ${merged.description}`);
+  merged.acceptance_criteria.forEach(criterion => Logger.command(`   - ${criterion}`));
+  if (merged.dependencies.length > 0) {
+    Logger.command(`   Depends on: ${merged.dependencies.join(', ')}`);
+  }
+  projectState.getBacklogsData().backlogs
+    .filter(b => rewired.includes(b.id))
+    .forEach(b => Logger.command(`#${b.id} now depends on: ${formatBacklogValue(b.dependencies)}`));
+  
+  projectState.appendLog({
+    action: 'BACKLOGS_COMBINED',
+    backlogs,
+    backlog: merged,
+    rewired
+  });
+}
+
+/**
+ * Why a backlog looks too large for one cycle: flagged by the Architect when
+ * it was added, or more acceptance criteria than one cycle usually covers
+ * @returns {string|null} Reason, or null if its size looks fine
+ */
+function findSizeWarning(backlog) {
+  if (backlog.too_large) {
+    return 'the Architect flagged it as too large when it was added';
+  }
+  const criteria = backlog.acceptance_criteria?.length || 0;
+  if (criteria > BACKLOG_MAX_ACCEPTANCE_CRITERIA) {
+    return `it has ${criteria} acceptance criteria (more than ${BACKLOG_MAX_ACCEPTANCE_CRITERIA})`;
+  }
+  return null;
+}
+
+/**
+ * Pick the backlog to work on next
+ * Interrupted (in-progress) work comes first, then the first pending backlog
+ * whose dependencies are all completed. Blocked backlogs are never picked.
+ * @returns {{backlog: Object|null, waiting: Object[]}} waiting: pending backlogs with unmet dependencies
+ */
+function selectNextBacklog(backlogsData) {
+  const inProgress = backlogsData.backlogs.find(b => b.status === 'in_progress');
+  if (inProgress) {
+    return { backlog: inProgress, waiting: [] };
+  }
+  
+  const pending = backlogsData.backlogs.filter(b => b.status === 'pending');
+  const completed = backlogsData.backlogs.filter(b => b.status === 'completed').map(b => b.id);
+  const backlog = pending.find(b => b.dependencies.every(dep => completed.includes(dep))) || null;
+  
+  return { backlog, waiting: backlog ? [] : pending };
+}
+
 /**
  * Execute process-backlog command
  */
@@ -150,32 +677,18 @@ export async function executeProcessBacklog(projectState, requirement, state) {
       return;
     }
   } else {
-    // First check for in-progress backlogs (interrupted work)
-    const inProgress = backlogsData.backlogs.filter(b => b.status === 'in_progress');
-    if (inProgress.length > 0) {
-      backlogToProcess = inProgress[0];
+    const next = selectNextBacklog(backlogsData);
+    backlogToProcess = next.backlog;
+    
+    if (backlogToProcess?.status === 'in_progress') {
       Logger.info(`Found interrupted backlog: #${backlogToProcess.id} ${backlogToProcess.title}`);
-    } else {
-      // Find next available pending backlog (respecting dependencies)
-      const pending = backlogsData.backlogs.filter(b => b.status === 'pending');
-      const completed = backlogsData.backlogs.filter(b => b.status === 'completed').map(b => b.id);
-      
-      for (const backlog of pending) {
-        // Check if all dependencies are completed
-        if (backlog.dependencies.every(dep => completed.includes(dep))) {
-          backlogToProcess = backlog;
-          break;
-        }
-      }
-      
-      if (!backlogToProcess && pending.length > 0) {
-        Logger.warning('All pending backlogs have unmet dependencies');
-        Logger.info('Pending backlogs:');
-        pending.forEach(b => {
-          Logger.command(`${b.id}. ${b.title} - waiting for: ${b.dependencies.join(', ')}`);
-        });
-        return;
-      }
+    } else if (!backlogToProcess && next.waiting.length > 0) {
+      Logger.warning('All pending backlogs have unmet dependencies');
+      Logger.info('Pending backlogs:');
+      next.waiting.forEach(b => {
+        Logger.command(`${b.id}. ${b.title} - waiting for: ${b.dependencies.join(', ')}`);
+      });
+      return;
     }
   }
   
@@ -190,6 +703,13 @@ export async function executeProcessBacklog(projectState, requirement, state) {
   Logger.info(`Estimated effort: ${backlogToProcess.estimated_effort}`);
   console.log(''); // Empty line
   
+  const sizeWarning = backlogToProcess.status === 'in_progress' ? null : findSizeWarning(backlogToProcess);
+  if (sizeWarning) {
+    Logger.warning(`Backlog #${backlogToProcess.id} looks too large for one cycle: ${sizeWarning}`);
+    Logger.info(`Consider splitting it first: npm run split-backlog ${backlogToProcess.id}`);
+    console.log(''); // Empty line
+  }
+  
   // Check if we're resuming an interrupted backlog
   let needsArchitect = true;
   if (backlogToProcess.status === 'in_progress') {
@@ -215,7 +735,9 @@ export async function executeProcessBacklog(projectState, requirement, state) {
         
         // Review what's been built so far
         Logger.info('Reviewing existing code before continuing...');
-        const allFiles = getAllProjectFilesWithContent(projectState.projectPath).join('\n');
+        const allFiles = buildProjectContext(projectState, {
+          query: [backlogToProcess.description, ...incompleteTasks.map(t => t.description)].join('\n')
+        }).text;
         const reviewPrompt = `Review the current state of: ${backlogToProcess.description}\n\nCompleted tasks:\n${completedTasks.map(t => `- ${t.description}`).join('\n')}\n\nRemaining tasks:\n${incompleteTasks.map(t => `- ${t.description}`).join('\n')}\n\nCurrent code:\n${allFiles}\n\nProvide a brief assessment: Is the code working so far? Any issues to fix before continuing?`;
         
         try {
@@ -234,26 +756,366 @@ export async function executeProcessBacklog(projectState, requirement, state) {
     }
   }
   
+  // Checkpoint a fresh backlog so it can be rolled back as a whole
+  if (backlogToProcess.status !== 'in_progress' && checkpointsEnabled(projectState)) {
+    await createBacklogCheckpoint(projectState, backlogToProcess);
+  }
+  
+  // Build the backlog on its own branch (merged once tests pass)
+  state.backlogBranch = await startBacklogBranch(projectState, backlogToProcess);
+  
   // Update status to in_progress
   projectState.updateBacklogStatus(backlogToProcess.id, 'in_progress');
+  projectState.setActiveContext({ backlogId: backlogToProcess.id });
+  // The test step verifies its acceptance criteria and completes it
+  state.backlog = backlogToProcess;
   
   // Run standard architect to break down into tasks (if needed)
   if (needsArchitect) {
+    try {
+      enforceBudget(projectState);
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      reportBudgetExceeded(projectState, error);
+      state.budgetExceeded = error.exceeded;
+      return;
+    }
+    
     await runArchitect(projectState, backlogToProcess.description, state);
   }
   
   // Run coder for each task
   await runCoderTasks(projectState, backlogToProcess.description, state);
   
-  // If successful, mark as completed
-  projectState.updateBacklogStatus(backlogToProcess.id, 'completed', {
-    completed_at: new Date().toISOString()
-  });
+  // Out of budget - leave the backlog in progress so it resumes later
+  if (state.budgetExceeded) {
+    return;
+  }
   
-  Logger.success(`Backlog #${backlogToProcess.id} completed!`);
+  Logger.success(`Backlog #${backlogToProcess.id} built; it is completed once the tests verify its acceptance criteria`);
+}
+
+/**
+ * Execute process-backlog for several backlogs at once
+ * Each backlog is built and tested in its own git worktree with its own
+ * server port. A backlog starts once the backlogs it depends on are merged,
+ * and finished branches are merged into the current branch one at a time, so
+ * merges follow dependency order. The full suite then runs on the merged
+ * result (the usual test step after process-backlog).
+ * state.backlogIds: backlogs to process (default: every unfinished backlog)
+ * state.parallel: backlogs built at once (default: config "parallel.maxBacklogs")
+ */
+export async function executeProcessBacklogs(projectState, requirement, state) {
+  const backlogsData = projectState.getBacklogsData();
   
-  projectState.appendLog({
-    action: 'BACKLOG_COMPLETED',
-    backlog: backlogToProcess
+  if (!backlogsData) {
+    Logger.warning('No backlogs found. Create a project first with npm run create-project');
+    return;
+  }
+  
+  if (projectState.isDryRun() || state.interactive) {
+    throw new Error('Backlogs built in parallel cannot be previewed or reviewed; drop --dry-run/--interactive or give a single backlog id');
+  }
+  
+  const { enabled } = getBranchSettings(projectState);
+  if (!enabled || !await isGitInitialized(projectState.projectPath)) {
+    throw new Error('Building backlogs in parallel needs git and the branch-per-backlog workflow (git.branchPerBacklog)');
+  }
+  
+  const selected = state.backlogIds?.length > 0
+    ? state.backlogIds.map(id => {
+      const backlog = backlogsData.backlogs.find(b => b.id === parseInt(id));
+      if (!backlog) throw new Error(`Backlog #${id} not found`);
+      return backlog;
+    })
+    : backlogsData.backlogs.filter(b => !['completed', 'blocked'].includes(b.status));
+  
+  if (selected.length === 0) {
+    Logger.success('All backlogs completed!');
+    return;
+  }
+  
+  const maxBacklogs = state.parallel || projectState.getConfig().parallel?.maxBacklogs || PARALLEL_MAX_BACKLOGS;
+  Logger.section(`Processing ${selected.length} backlog(s), up to ${maxBacklogs} at a time`, '📋');
+  
+  // Worktrees branch off committed work on the base branch
+  const baseBranch = await returnToBaseBranch(projectState);
+  await commitAll(projectState.projectPath, 'Before parallel backlogs', projectState.getCommitMetadata('Orchestrator'));
+  
+  const mergedIds = new Set(backlogsData.backlogs.filter(b => b.status === 'completed').map(b => b.id));
+  const waiting = [...selected];
+  const running = new Map();
+  // One test server port per worktree slot
+  const freePorts = Array.from({ length: maxBacklogs }, (_, i) => projectState.serverPort + 1 + i);
+  const merged = [];
+  const failed = [];
+  
+  for (;;) {
+    // Start every backlog whose dependencies are merged, while slots are free
+    for (const backlog of [...waiting]) {
+      if (running.size >= maxBacklogs || state.budgetExceeded) break;
+      if (!backlog.dependencies.every(dep => mergedIds.has(dep))) continue;
+      
+      waiting.splice(waiting.indexOf(backlog), 1);
+      running.set(backlog.id, buildBacklogInWorktree(projectState, backlog, baseBranch, freePorts.shift()));
+    }
+    
+    if (running.size === 0) break;
+    
+    const outcome = await Promise.race(running.values());
+    const { backlog } = outcome;
+    running.delete(backlog.id);
+    freePorts.push(outcome.port);
+    
+    if (outcome.budgetExceeded) {
+      state.budgetExceeded = outcome.budgetExceeded;
+    }
+    
+    if (outcome.passed && await mergeBacklogWorktree(projectState, outcome.record)) {
+      completeBacklog(projectState, backlog);
+      mergedIds.add(backlog.id);
+      merged.push(backlog);
+      continue;
+    }
+    
+    failed.push(backlog);
+    if (outcome.record && existsSync(outcome.record.worktree)) {
+      await closeBacklogWorktree(projectState, outcome.record);
+    }
+  }
+  
+  console.log(''); // Empty line
+  if (merged.length > 0) {
+    Logger.success(`Merged backlog(s) ${merged.map(b => `#${b.id}`).join(', ')} into ${baseBranch}`);
+  }
+  failed.forEach(b => Logger.warning(`Backlog #${b.id} ${b.title} was not merged; run "npm run process-backlog ${b.id}" to continue it`));
+  waiting.forEach(b => Logger.info(`Backlog #${b.id} ${b.title} not started - waiting for: ${b.dependencies.filter(dep => !mergedIds.has(dep)).join(', ')}`));
+  
+  // The full suite covers the merged backlogs' own tests
+  state.tasks = [];
+  if (merged.length === 0 && failed.length > 0 && !state.budgetExceeded) {
+    throw new Error(`No backlog could be merged (${failed.map(b => `#${b.id}`).join(', ')} failed)`);
+  }
+}
+
+/**
+ * Build and test one backlog in its own worktree
+ * Never rejects: errors are reported in the outcome so other backlogs keep going.
+ * @returns {Promise<{backlog: Object, port: number, record: Object|null, passed: boolean, budgetExceeded?: Object}>}
+ */
+async function buildBacklogInWorktree(projectState, backlog, baseBranch, port) {
+  const runState = { tasks: [], completedTasks: [], status: 'started', backlogId: backlog.id };
+  let record = null;
+  
+  try {
+    record = await startBacklogWorktree(projectState, backlog, baseBranch);
+    const worktreeState = projectState.forWorktree(record.worktree, port);
+    
+    await executeProcessBacklog(worktreeState, `Process backlog item #${backlog.id}`, runState);
+    if (runState.budgetExceeded) {
+      return { backlog, port, record, passed: false, budgetExceeded: runState.budgetExceeded };
+    }
+    
+    const result = await verifyWithTests(worktreeState, worktreeState.projectPath, backlog.description, runState);
+    Logger.info(`Backlog #${backlog.id}: tests ${result.passed ? 'passed' : 'failed'}`);
+    return { backlog, port, record, passed: result.passed, budgetExceeded: runState.budgetExceeded };
+  } catch (error) {
+    Logger.error(`Backlog #${backlog.id} failed: ${error.message}`);
+    projectState.appendTextLog(`ERROR: Backlog #${backlog.id} failed - ${error.message}`);
+    return { backlog, port, record, passed: false };
+  }
+}
+
+/**
+ * Execute process-all command
+ * Works through the backlogs unattended: picks the next eligible backlog the
+ * way process-backlog does, plans, builds and tests it (with the fix loop),
+ * commits it and moves on. A backlog that fails maxFailures times is marked
+ * blocked with the failure reason and skipped from then on. Stops when every
+ * backlog is done or waits on a blocked one, or when the budget runs out.
+ * state.maxFailures: failed attempts before a backlog is blocked (default: config "processAll.maxFailures")
+ */
+export async function executeProcessAll(projectState, requirement, state) {
+  if (!projectState.getBacklogsData()) {
+    Logger.warning('No backlogs found. Create a project first with npm run create-project');
+    return;
+  }
+  
+  if (state.interactive) {
+    throw new Error('process-all runs unattended; drop --interactive or use npm run process-backlog');
+  }
+  
+  const maxFailures = state.maxFailures || projectState.getConfig().processAll?.maxFailures || PROCESS_ALL_MAX_FAILURES;
+  Logger.section(`Processing all backlogs (a backlog is blocked after ${maxFailures} failed attempt(s))`, '📋');
+  
+  // backlog id -> {result, attempts, failures, tasks, durationMs} for this run
+  const runs = new Map();
+  let stopReason;
+  
+  for (;;) {
+    const backlogsData = projectState.getBacklogsData();
+    const { backlog } = selectNextBacklog(backlogsData);
+    if (!backlog) {
+      stopReason = backlogsData.backlogs.every(b => b.status === 'completed')
+        ? 'all backlogs completed'
+        : 'the remaining backlogs are blocked or wait on unfinished dependencies';
+      break;
+    }
+    
+    try {
+      enforceBudget(projectState);
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      reportBudgetExceeded(projectState, error);
+      state.budgetExceeded = error.exceeded;
+      stopReason = 'budget exceeded';
+      break;
+    }
+    
+    const run = runs.get(backlog.id) || { result: '', attempts: 0, failures: 0, tasks: 0, durationMs: 0 };
+    runs.set(backlog.id, run);
+    run.attempts++;
+    
+    const startedAt = Date.now();
+    const outcome = await runBacklog(projectState, backlog);
+    run.durationMs += Date.now() - startedAt;
+    run.tasks = outcome.tasks;
+    
+    if (outcome.budgetExceeded) {
+      state.budgetExceeded = outcome.budgetExceeded;
+      run.result = 'stopped (budget)';
+      stopReason = 'budget exceeded';
+      break;
+    }
+    
+    if (outcome.passed) {
+      run.result = 'completed';
+      continue;
+    }
+    
+    run.failures++;
+    projectState.appendLog({
+      action: 'BACKLOG_FAILED',
+      backlogId: backlog.id,
+      attempt: run.failures,
+      maxFailures,
+      error: outcome.error
+    });
+    
+    if (run.failures < maxFailures) {
+      run.result = 'failed';
+      Logger.warning(`Backlog #${backlog.id} failed (attempt ${run.failures}/${maxFailures}) - retrying`);
+      continue;
+    }
+    
+    projectState.updateBacklogStatus(backlog.id, 'blocked', {
+      blocked_reason: outcome.error,
+      blocked_at: new Date().toISOString()
+    });
+    projectState.appendLog({
+      action: 'BACKLOG_BLOCKED',
+      backlogId: backlog.id,
+      failures: run.failures,
+      reason: outcome.error
+    });
+    run.result = 'blocked';
+    Logger.error(`Backlog #${backlog.id} blocked after ${run.failures} failed attempt(s): ${outcome.error}`);
+    
+    // Its branch is kept for inspection; later backlogs start from the base branch
+    if (getBranchSettings(projectState).enabled && await isGitInitialized(projectState.projectPath)) {
+      await returnToBaseBranch(projectState);
+    }
+  }
+  
+  printProcessAllSummary(projectState.getBacklogsData(), runs, stopReason);
+  
+  // Every backlog was tested as it was processed
+  state.tasks = [];
+}
+
+/**
+ * Plan, build and test one backlog for process-all
+ * It only passes once its work is on the base branch: a backlog branch that
+ * can't be merged counts as a failure.
+ * Never rejects: errors are reported in the outcome so the run can go on.
+ * @returns {Promise<{passed: boolean, tasks: number, error?: string, budgetExceeded?: Object}>}
+ */
+async function runBacklog(projectState, backlog) {
+  const runState = { tasks: [], completedTasks: [], status: 'started', backlogId: backlog.id };
+  
+  try {
+    await executeProcessBacklog(projectState, `Process backlog item #${backlog.id}`, runState);
+    if (runState.budgetExceeded) {
+      return { passed: false, tasks: runState.tasks.length, budgetExceeded: runState.budgetExceeded };
+    }
+    
+    const result = await runTests(projectState, projectState.projectPath, backlog.description, runState);
+    if (result.passed && await isGitInitialized(projectState.projectPath)) {
+      // Without the branch workflow nothing has committed the backlog yet
+      await commitAll(
+        projectState.projectPath,
+        `Backlog #${backlog.id}: ${backlog.title}`,
+        projectState.getCommitMetadata('Orchestrator', { backlogId: backlog.id })
+      );
+    }
+    
+    return {
+      passed: result.passed,
+      tasks: runState.tasks.length,
+      error: result.passed ? null
+        : result.mergeFailed ? 'Tests passed but the backlog branch could not be merged into the base branch'
+        : result.unverified ? `Acceptance criteria not verified: ${result.unverified.join('; ').slice(0, 200)}`
+        : describeTestFailure(result.output),
+      budgetExceeded: runState.budgetExceeded
+    };
+  } catch (error) {
+    Logger.error(`Backlog #${backlog.id} failed: ${error.message}`);
+    projectState.appendTextLog(`ERROR: Backlog #${backlog.id} failed - ${error.message}`);
+    return { passed: false, tasks: runState.tasks.length, error: error.message };
+  }
+}
+
+// Short reason for a failing test run, for blocked_reason
+function describeTestFailure(output = '') {
+  const firstError = output.split('\n').map(line => line.trim()).find(line => /✘|\bError\b/.test(line));
+  return `Tests still failing after the fix loop${firstError ? `: ${firstError.slice(0, 200)}` : ''}`;
+}
+
+/**
+ * Print the process-all summary table (every backlog, with this run's results)
+ */
+function printProcessAllSummary(backlogsData, runs, stopReason) {
+  const statusById = new Map(backlogsData.backlogs.map(b => [b.id, b.status]));
+  const rows = backlogsData.backlogs.map(b => {
+    const run = runs.get(b.id);
+    const unmet = b.dependencies.filter(dep => statusById.get(dep) !== 'completed');
+    const result = run?.result
+      || (b.status === 'completed' ? 'done earlier'
+        : b.status === 'blocked' ? 'blocked earlier'
+        : unmet.length > 0 ? `waiting for ${unmet.map(dep => `#${dep}`).join(', ')}`
+        : 'not started');
+    return [
+      `#${b.id}`,
+      b.title.length > 32 ? `${b.title.slice(0, 31)}…` : b.title,
+      result,
+      run ? String(run.attempts) : '-',
+      run ? String(run.tasks) : '-',
+      run ? formatDuration(run.durationMs) : '-'
+    ];
   });
-}
\ No newline at end of file
+  
+  const header = ['ID', 'Backlog', 'Result', 'Attempts', 'Tasks', 'Time'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  
+  Logger.section('Process-all summary', '📊');
+  console.log(formatRow(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(formatRow(row)));
+  console.log(''); // Empty line
+  
+  Logger.info(`Stopped: ${stopReason}`);
+  backlogsData.backlogs
+    .filter(b => b.status === 'blocked')
+    .forEach(b => Logger.warning(`Backlog #${b.id} is blocked: ${b.blocked_reason || 'unknown reason'} (npm run reset-backlog ${b.id} to retry)`));
+}
@@ -0,0 +1,59 @@
+/**
+ * Backlog graph command
+ * Prints the backlog dependency graph (ASCII tree and Graphviz DOT), the
+ * critical path and the backlogs that can be started now
+ */
+
+import { Logger } from '../logger.js';
+import {
+  findGraphProblems, findCriticalPath, findUnblockedBacklogs,
+  formatGraphAscii, formatGraphDot
+} from '../backlog-graph.js';
+
+/**
+ * Execute backlog-graph command
+ * state.format: 'ascii' or 'dot' to print only that rendering (default: both)
+ */
+export async function executeBacklogGraph(projectState, requirement, state) {
+  const backlogsData = projectState.getBacklogsData();
+
+  if (!backlogsData || backlogsData.backlogs.length === 0) {
+    Logger.warning('No backlogs found. Create a project first with npm run create-project');
+    return;
+  }
+
+  const { backlogs } = backlogsData;
+  const problems = findGraphProblems(backlogs);
+  if (problems.length > 0) {
+    Logger.error('The backlog dependencies are invalid:');
+    problems.forEach(problem => Logger.command(problem));
+    Logger.info('Fix them with npm run edit-backlog -- <id> --depends <ids>');
+    return;
+  }
+
+  if (state.format !== 'dot') {
+    Logger.section(`Backlog graph (${backlogs.length} backlogs)`, '🕸️');
+    console.log(formatGraphAscii(backlogs));
+    console.log('');
+    console.log('[x] completed  [~] in progress  [!] blocked  [ ] pending  * critical path  (ready) can start now');
+    console.log('');
+
+    const { path, weight } = findCriticalPath(backlogs);
+    if (path.length > 0) {
+      const byId = new Map(backlogs.map(b => [b.id, b]));
+      Logger.info(`Critical path (effort ${weight}): ${path.map(id => `#${id} ${byId.get(id).title}`).join(' -> ')}`);
+    } else {
+      Logger.success('All backlogs completed!');
+    }
+
+    const unblocked = findUnblockedBacklogs(backlogs);
+    if (unblocked.length > 0) {
+      Logger.info(`Ready to start: ${unblocked.map(b => `#${b.id} ${b.title}`).join(', ')}`);
+    }
+  }
+
+  if (state.format !== 'ascii') {
+    Logger.section('Graphviz DOT (render with: dot -Tsvg -o backlogs.svg)', '📐');
+    console.log(formatGraphDot(backlogs));
+  }
+}
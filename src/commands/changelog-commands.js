@@ -0,0 +1,34 @@
+/**
+ * Changelog command
+ * Writes CHANGELOG.md in the project from the logs and git history
+ */
+
+import { writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import { Logger } from '../logger.js';
+import { findCommits, getRecentCommits } from '../git-utils.js';
+import { buildChangelog } from '../changelog.js';
+import { CHANGELOG_FILENAME, CHANGELOG_RECENT_COMMITS } from '../config.js';
+
+/**
+ * Execute changelog command
+ */
+export async function executeChangelog(projectState, requirement, state) {
+  const projectPath = projectState.projectPath;
+  
+  Logger.section('Generating changelog...', '📰');
+  
+  const { markdown, backlogCount } = buildChangelog({
+    projectName: basename(projectPath),
+    log: projectState.getLog(),
+    backlogs: projectState.getBacklogsData()?.backlogs || [],
+    commits: await findCommits(projectPath),
+    recentCommits: await getRecentCommits(projectPath, CHANGELOG_RECENT_COMMITS)
+  });
+  
+  writeFileSync(join(projectPath, CHANGELOG_FILENAME), markdown);
+  projectState.appendTextLog(`Changelog written: ${CHANGELOG_FILENAME} (${backlogCount} backlog(s))`);
+  
+  Logger.file('Updated', CHANGELOG_FILENAME);
+  Logger.success(`Changelog covers ${backlogCount} completed backlog(s)`);
+}
@@ -0,0 +1,46 @@
+/**
+ * History command
+ * Queries project commits by their orchestrator trailers
+ */
+
+import { Logger } from '../logger.js';
+import { findCommits } from '../git-utils.js';
+
+// Command-line field names -> findCommits filter keys
+const HISTORY_FILTERS = {
+  backlog: 'backlogId',
+  task: 'taskNumber',
+  role: 'agentRole',
+  session: 'sessionId'
+};
+
+/**
+ * Execute history command
+ * state.field: backlog, task, role or session (omit to list every orchestrator commit)
+ * state.value: value to match
+ */
+export async function executeHistory(projectState, requirement, state) {
+  if (state.field && (!HISTORY_FILTERS[state.field] || !state.value)) {
+    Logger.error('Usage: npm run history [backlog|task|role|session] [value]');
+    return;
+  }
+  
+  const filter = state.field ? { [HISTORY_FILTERS[state.field]]: state.value } : {};
+  const commits = (await findCommits(projectState.projectPath, filter))
+    .filter(commit => commit.agentRole || commit.backlogId || commit.sessionId);
+  
+  if (commits.length === 0) {
+    Logger.info(state.field ? `No commits found for ${state.field} ${state.value}` : 'No orchestrator commits yet');
+    return;
+  }
+  
+  Logger.section(state.field ? `Commits for ${state.field} ${state.value}` : 'Orchestrator commits', '📜');
+  commits.forEach(commit => {
+    const details = [
+      commit.backlogId ? `backlog #${commit.backlogId}` : null,
+      commit.taskNumbers?.length ? `task${commit.taskNumbers.length > 1 ? 's' : ''} ${commit.taskNumbers.join(', ')}` : null,
+      commit.agentRole
+    ].filter(Boolean).join(', ');
+    Logger.command(`${commit.sha.slice(0, 7)}  ${commit.date}  ${commit.subject}${details ? `  (${details})` : ''}`);
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Map command
+ * Prints the project's code map (files, exports, routes, element ids, CSS classes)
+ */
+
+import { Logger } from '../logger.js';
+import { refreshCodeMap, formatCodeMap } from '../code-map.js';
+
+/**
+ * Execute map command
+ * state.filter: only show files whose path contains this text (optional)
+ */
+export async function executeMap(projectState, requirement, state) {
+  const map = refreshCodeMap(projectState);
+  const paths = Object.keys(map.files)
+    .filter(path => !state.filter || path.includes(state.filter))
+    .sort();
+
+  if (paths.length === 0) {
+    Logger.info(state.filter ? `No files matching "${state.filter}"` : 'No project files indexed yet');
+    return;
+  }
+
+  Logger.section(`Code map (${paths.length} file(s), updated ${map.updatedAt || 'just now'})`, '🗺️');
+  console.log(formatCodeMap(map, paths));
+
+  const entries = paths.map(path => map.files[path]);
+  const count = field => new Set(entries.flatMap(entry => entry[field])).size;
+  console.log('');
+  Logger.info(`${count('routes')} route(s), ${count('ids')} element id(s), ${count('classes')} CSS class(es)`);
+}
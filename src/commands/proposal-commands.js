@@ -0,0 +1,130 @@
+/**
+ * Proposal commands
+ * Handles finishing dry runs and applying saved proposals
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { Logger } from '../logger.js';
+import { resolveSafePath, safeWriteFile } from '../safe-write.js';
+import { readJsonFile, writeJsonFile } from '../file-utils.js';
+import { saveProposal, loadProposal, listProposals, printProposal } from '../proposals.js';
+
+/**
+ * Save and print the proposal captured during a dry run
+ * @returns {Object|null} Saved proposal record, or null if nothing was proposed
+ */
+export function finishDryRun(projectState) {
+  const proposal = projectState.proposal;
+  
+  if (proposal.isEmpty()) {
+    Logger.info('Dry run finished - no changes proposed');
+    return null;
+  }
+  
+  const record = saveProposal(projectState.projectPath, proposal);
+  printProposal(record);
+  
+  projectState.appendLog({
+    action: 'PROPOSAL_CREATED',
+    proposalId: record.id,
+    command: record.command,
+    files: record.files.map(f => f.path)
+  });
+  
+  Logger.success(`Dry run complete - nothing was written. Saved as proposal #${record.id}`);
+  Logger.info(`Apply it with: npm run apply-proposal ${record.id}`, true);
+  Logger.info('Tests were not generated or run.', true);
+  return record;
+}
+
+/**
+ * Execute list-proposals command
+ */
+export async function executeListProposals(projectState, requirement, state) {
+  const proposals = listProposals(projectState.projectPath);
+  
+  if (proposals.length === 0) {
+    Logger.info('No proposals yet. Run a command with --dry-run to create one.');
+    return;
+  }
+  
+  Logger.section('Proposals', '📝');
+  proposals.forEach(p => {
+    const icon = p.status === 'applied' ? '✅' : '⬜';
+    console.log(`${icon} #${p.id} ${p.command}: ${p.requirement} (${p.files.length} file(s), ${p.created_at})`);
+  });
+}
+
+/**
+ * Files whose current content no longer matches what the proposal was based on
+ */
+function findConflicts(projectState, record) {
+  return record.files.filter(file => {
+    const { fullPath } = resolveSafePath(projectState.projectPath, file.path);
+    const current = existsSync(fullPath) ? readFileSync(fullPath, 'utf8') : null;
+    return current !== file.before;
+  });
+}
+
+/**
+ * Execute apply-proposal command
+ */
+export async function executeApplyProposal(projectState, requirement, state) {
+  const record = loadProposal(projectState.projectPath, state.proposalId);
+  
+  if (!record) {
+    Logger.error(`Proposal #${state.proposalId} not found`);
+    return;
+  }
+  
+  if (record.status === 'applied') {
+    Logger.warning(`Proposal #${record.id} was already applied at ${record.applied_at}`);
+    return;
+  }
+  
+  const conflicts = findConflicts(projectState, record);
+  if (conflicts.length > 0 && !state.force) {
+    Logger.error(`Proposal #${record.id} is out of date - these files changed since the dry run:`);
+    Logger.list(conflicts.map(f => f.path), true);
+    Logger.info('Re-run the command with --dry-run, or apply anyway with --force', true);
+    return;
+  }
+  
+  Logger.section(`Applying proposal #${record.id} (${record.command})`, '📝');
+  
+  record.files.forEach(file => {
+    const { written, relativePath } = safeWriteFile(projectState, file.path, file.after, 'apply-proposal');
+    if (written) {
+      Logger.file(file.before === null ? 'Created' : 'Updated', relativePath);
+      projectState.appendTextLog(`  Applied: ${relativePath}`);
+    }
+  });
+  
+  // Replay the history the dry run would have written
+  if (record.logEntries.length > 0) {
+    const log = readJsonFile(projectState.logFile) || [];
+    writeJsonFile(projectState.logFile, [...log, ...record.logEntries]);
+    projectState.syncTaskCounter();
+  }
+  
+  record.backlogUpdates.forEach(update => {
+    projectState.updateBacklogStatus(update.backlogId, update.status, update.fields);
+  });
+  
+  projectState.appendLog({
+    action: 'PROPOSAL_APPLIED',
+    proposalId: record.id,
+    command: record.command,
+    files: record.files.map(f => f.path),
+    forced: conflicts.length > 0
+  });
+  
+  saveProposal(projectState.projectPath, {
+    ...record,
+    status: 'applied',
+    applied_at: new Date().toISOString()
+  });
+  
+  Logger.success(`Proposal #${record.id} applied (${record.files.length} file(s))`);
+  Logger.info('Run npm test in the project (or npm run fix) to verify the changes', true);
+}
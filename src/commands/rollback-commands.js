@@ -0,0 +1,50 @@
+/**
+ * Rollback command
+ * Lists checkpoints and reverts the project to one of them
+ */
+
+import { Logger } from '../logger.js';
+import { getCheckpoints, rollbackTo } from '../checkpoints.js';
+
+/**
+ * Execute rollback command
+ * state.target: 'task' or 'backlog' (omit to list checkpoints)
+ * state.targetId: task number or backlog id (omit for the most recent one)
+ */
+export async function executeRollback(projectState, requirement, state) {
+  const checkpoints = getCheckpoints(projectState.getLog());
+  
+  if (checkpoints.length === 0) {
+    Logger.warning('No checkpoints recorded yet. Checkpoints are created before each task and backlog.');
+    return;
+  }
+  
+  if (!state.target) {
+    Logger.section('Checkpoints', '📍');
+    checkpoints.forEach(cp => {
+      const label = cp.kind === 'task' ? `task ${cp.taskNumber}` : `backlog ${cp.backlogId}`;
+      Logger.command(`${cp.tag}  ${cp.ref.slice(0, 7)}  ${cp.timestamp}  (npm run rollback ${label})`);
+    });
+    return;
+  }
+  
+  if (!['task', 'backlog'].includes(state.target)) {
+    Logger.error('Usage: npm run rollback [task|backlog] [id]');
+    return;
+  }
+  
+  const idField = state.target === 'task' ? 'taskNumber' : 'backlogId';
+  const candidates = checkpoints.filter(cp => cp.kind === state.target);
+  const checkpoint = state.targetId
+    ? candidates.find(cp => cp[idField] === parseInt(state.targetId))
+    : candidates[candidates.length - 1];
+  
+  if (!checkpoint) {
+    Logger.error(`No checkpoint found for ${state.target}${state.targetId ? ` ${state.targetId}` : ''}`);
+    return;
+  }
+  
+  Logger.section(`Rolling back to before ${state.target} ${checkpoint[idField]}`, '⏪');
+  await rollbackTo(projectState, checkpoint, `Manual rollback of ${state.target} ${checkpoint[idField]}`);
+  Logger.success('Rollback complete. Reverted tasks are pending again.');
+}
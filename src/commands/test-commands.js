@@ -6,22 +6,18 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { join } from 'path';
-import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
+import { existsSync, readFileSync, readdirSync } from 'fs';
 import { Logger } from '../logger.js';
-import { callClaude } from '../claude-utils.js';
+import { callAgent } from '../claude-utils.js';
 import { loadTemplate } from '../template-utils.js';
 import { parseAgentResponse } from '../agent-parsers.js';
 import { npmInstall, killProcessOnPort as killPort } from '../npm-utils.js';
+import { safeWriteFile } from '../safe-write.js';
+import { createFileFilter, getFileFilterSettings } from '../file-filter.js';
+import { refreshCodeMap, formatCodeMap } from '../code-map.js';
 
 const execAsync = promisify(exec);
 
-/**
- * Wrapper for callClaude to maintain compatibility
- */
-async function callClaudeWrapper(prompt, role, projectState = null, retryCount = 0) {
-  return callClaude(prompt, role, projectState, retryCount);
-}
-
 /**
  * Execute fix-tests command - analyze and fix failing tests
  */
@@ -89,13 +85,22 @@ export async function executeFixTests(projectState, requirement, state) {
   
   Logger.error('Tests are failing. Analyzing failures...');
   
+  // Files excluded by .pbtignore, type or size are not sent to the Tester
+  const filter = createFileFilter(projectState.projectPath, getFileFilterSettings(projectState));
+  const excluded = [];
+  const isIncluded = path => {
+    const reason = filter.getExclusionReason(path);
+    if (reason) excluded.push({ path, reason });
+    return !reason;
+  };
+  
   // Get all test files from our standard test directory
   const testFiles = [];
   const testDir = join(projectState.projectPath, 'test');
   if (existsSync(testDir)) {
     const files = readdirSync(testDir);
     files.forEach(file => {
-      if (file.endsWith('.test.js')) {
+      if (file.endsWith('.test.js') && isIncluded(`test/${file}`)) {
         const content = readFileSync(join(testDir, file), 'utf8');
         testFiles.push({ path: join(projectState.projectPath, 'test', file), content });
       }
@@ -110,7 +115,7 @@ export async function executeFixTests(projectState, requirement, state) {
   if (existsSync(srcDir)) {
     const files = readdirSync(srcDir);
     files.forEach(file => {
-      if (file.endsWith('.js') || file.endsWith('.html') || file.endsWith('.css')) {
+      if ((file.endsWith('.js') || file.endsWith('.html') || file.endsWith('.css')) && isIncluded(`src/${file}`)) {
         const content = readFileSync(join(srcDir, file), 'utf8');
         srcFiles.push({ path: `src/${file}`, content });
       }
@@ -119,11 +124,17 @@ export async function executeFixTests(projectState, requirement, state) {
   
   // Get server.js from root
   const serverFile = join(projectState.projectPath, 'server.js');
-  if (existsSync(serverFile)) {
+  if (existsSync(serverFile) && isIncluded('server.js')) {
     const content = readFileSync(serverFile, 'utf8');
     srcFiles.push({ path: 'server.js', content });
   }
   
+  projectState.reportExcludedFiles(excluded);
+  
+  // The code map lists the selectors and routes that actually exist
+  const codeMap = `Code map (use only element ids, CSS classes and routes listed here):\n${formatCodeMap(refreshCodeMap(projectState))}`;
+  const implementationFiles = [codeMap, ...srcFiles.map(f => `File: ${f.path}\n${f.content}`)].join('\n\n');
+  
   // Run Tester to fix the tests
   Logger.section('Fixing tests to match implementation...', '🔧');
   
@@ -134,7 +145,7 @@ export async function executeFixTests(projectState, requirement, state) {
     fixPrompt = testerFixTemplate
       .replace('${testOutput}', testOutput)
       .replace('${testFiles}', testFiles.map(f => `File: ${f.path}\n${f.content}`).join('\n\n'))
-      .replace('${implementationFiles}', srcFiles.map(f => `File: ${f.path}\n${f.content}`).join('\n\n'));
+      .replace('${implementationFiles}', () => implementationFiles);
   } else {
     // Fallback prompt
     fixPrompt = `You are the Tester agent. Your task is to fix the failing tests to match the actual implementation.
@@ -146,7 +157,7 @@ Current Test Files:
 ${testFiles.map(f => `File: ${f.path}\n${f.content}`).join('\n\n')}
 
 Implementation Files:
-${srcFiles.map(f => `File: ${f.path}\n${f.content}`).join('\n\n')}
+${implementationFiles}
 
 Analyze the test failures and update the tests to match what the implementation actually does. Do NOT change the implementation - only fix the tests.
 
@@ -172,7 +183,7 @@ Respond with JSON:
   
   let fixResult;
   try {
-    fixResult = await callClaudeWrapper(fixPrompt, 'Tester', projectState);
+    fixResult = await callAgent(fixPrompt, 'Tester', 'tester-fix', projectState);
   } catch (error) {
     Logger.error(`Error calling Claude API: ${error.message}`);
     Logger.info('Falling back to manual analysis...');
@@ -233,13 +244,25 @@ Respond with JSON:
       
       // Write the fixed test files
       fixes.fixed_tests.forEach(fix => {
-        writeFileSync(fix.file_path, fix.updated_content);
-        Logger.file('Updated', fix.file_path);
+        const { written, proposed, relativePath } = safeWriteFile(projectState, fix.file_path, fix.updated_content, 'Tester');
+        if (written) {
+          Logger.file(proposed ? 'Proposed' : 'Updated', relativePath);
+        }
       });
       
       Logger.info('Changes made:');
       Logger.list(fixes.changes_made, true);
       
+      // Dry run: nothing was written, so there is nothing to verify yet
+      if (projectState.isDryRun()) {
+        projectState.appendLog({
+          action: 'TESTS_FIXED',
+          files_updated: fixes.fixed_tests.length,
+          changes: fixes.changes_made
+        });
+        return;
+      }
+      
       Logger.success('Test fixes applied!');
       
       // Run tests again to verify fixes
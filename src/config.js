@@ -23,6 +23,12 @@ export const LOGS_FILENAME = 'logs.json';
 export const TEXT_LOG_FILENAME = 'log.txt';
 export const TASK_LOG_FILENAME = 'task-log.txt';
 export const BACKLOGS_FILENAME = 'backlogs.json';
+export const PROJECT_CONFIG_FILENAME = 'config.json';
+export const CASSETTE_FILENAME = 'cassette.json';
+export const PROPOSALS_DIRNAME = 'proposals';
+export const CHANGELOG_FILENAME = 'CHANGELOG.md';
+export const IGNORE_FILENAME = '.pbtignore';
+export const CODE_MAP_FILENAME = 'code-map.json';
 
 // Timeouts
 export const CLAUDE_TIMEOUT = 120000; // 120 seconds
@@ -33,11 +39,51 @@ export const TEST_TIMEOUT = 120000; // 120 seconds
 export const CLAUDE_MAX_RETRIES = 2;
 export const CLAUDE_RETRY_DELAY = 5000; // 5 seconds
 
+// Follow-up calls asking an agent to fix a response that fails schema validation
+export const AGENT_REPAIR_MAX_ATTEMPTS = 2;
+
+// Follow-up calls asking the Coder to resend diffs/edits that did not apply
+export const CODER_PATCH_MAX_RETRIES = 2;
+
+// Automatic test-and-fix loop (overridable per project in plan-build-test/config.json)
+export const FIX_LOOP_MAX_ITERATIONS = 3;
+export const FIX_LOOP_MODE = 'backlog'; // 'backlog' = after all tasks, 'task' = also after each task
+export const FIX_LOOP_MAX_OUTPUT = 8000; // characters of test output sent to the Coder
+
+// Parallel task builds (overridable per project in plan-build-test/config.json)
+export const PARALLEL_MAX_WORKERS = 3; // Coder calls in flight at once; 1 builds tasks one at a time
+export const PARALLEL_MAX_BACKLOGS = 2; // backlogs built at once by process-backlog with several ids
+
+// Unattended backlog processing (overridable per project in plan-build-test/config.json)
+export const PROCESS_ALL_MAX_FAILURES = 2; // failed attempts before process-all marks a backlog blocked
+
+// Backlog field values (shared by the Architect's schema and the backlog editing commands)
+export const BACKLOG_PRIORITIES = ['high', 'medium', 'low'];
+export const BACKLOG_EFFORTS = ['small', 'medium', 'large'];
+export const BACKLOG_MAX_ACCEPTANCE_CRITERIA = 8; // more than this and process-backlog suggests splitting
+
+// Project context sent to agents (overridable per project in plan-build-test/config.json)
+export const CONTEXT_MAX_TOKENS = 60000; // full file content beyond this is replaced by outlines
+export const CONTEXT_RECENT_ENTRIES = 10; // recent task/fix log entries counted as recent modifications
+
+// File scanning (overridable per project in plan-build-test/config.json)
+export const FILE_SCAN_MAX_BYTES = 100 * 1024; // larger files are left out of agent prompts
+export const FILE_SCAN_EXCLUDED_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Changelog configuration
+export const CHANGELOG_RECENT_COMMITS = 20;
+
+// LLM provider configuration (overridable per project in plan-build-test/config.json)
+export const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || 'claude-cli';
+
 // Temp file settings
 export const TEMP_DIR = join(ROOT_DIR, '.tmp');
 export const TEMP_FILE_PREFIX = '.claude-prompt-';
 export const TEMP_FILE_AGE_LIMIT = 60 * 60 * 1000; // 1 hour
 
+// Git worktrees for backlogs built in parallel (<dir>/<project>/backlog-<id>)
+export const WORKTREES_DIR = join(ROOT_DIR, '.worktrees');
+
 // Server configuration
 export const DEFAULT_PORT = 3000;
 export const SERVER_BASE_URL = `http://localhost:${DEFAULT_PORT}`;
@@ -51,6 +97,8 @@ dist/
 plan-build-test/logs.json
 plan-build-test/log.txt
 plan-build-test/task-log.txt
+plan-build-test/proposals/
+plan-build-test/code-map.json
 `;
 
 // Express app template configuration
@@ -13,6 +13,14 @@ const COLORS = {
   cyan: '\x1b[36m'
 };
 
+/**
+ * Wrap text in an ANSI color (skipped when output is not a terminal)
+ */
+export function colorize(text, color) {
+  if (!process.stdout.isTTY || !COLORS[color]) return text;
+  return `${COLORS[color]}${text}${COLORS.reset}`;
+}
+
 /**
  * Log with emoji prefix
  */
@@ -0,0 +1,147 @@
+/**
+ * Token-budgeted project context for agent prompts
+ * Agents get the project's code map (every file with its exports, routes,
+ * element ids and CSS classes) plus the full content of the files most
+ * relevant to the work at hand: paths mentioned in it, the files around
+ * those in the reference graph, and recently modified files. Full content is
+ * added until the token budget is used up.
+ */
+
+import { readFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { refreshCodeMap, formatCodeMap } from './code-map.js';
+import { estimateTokens } from './usage-tracker.js';
+import { CONTEXT_MAX_TOKENS, CONTEXT_RECENT_ENTRIES } from './config.js';
+
+// Relevance weights
+const SCORE_PATH_MENTION = 10;
+const SCORE_NAME_MENTION = 5;
+const SCORE_IMPORTED_BY_TARGET = 4;
+const SCORE_IMPORTS_TARGET = 3;
+const SCORE_RECENT = 3;
+const SCORE_KEYWORD = 1;
+const SCORE_PROJECT_MANIFEST = 2;
+
+/**
+ * Read the context settings (plan-build-test/config.json "context")
+ * @returns {{maxTokens: number}}
+ */
+export function getContextSettings(projectState) {
+  const settings = projectState.getConfig().context || {};
+  return {
+    maxTokens: Number.isFinite(settings.maxTokens) ? settings.maxTokens : CONTEXT_MAX_TOKENS
+  };
+}
+
+/**
+ * Files touched by recent tasks and fix attempts, most recent first
+ */
+function findRecentFiles(projectState) {
+  const recent = [];
+  projectState.getLog()
+    .filter(entry => ['COMPLETE_TASK', 'FIX_ATTEMPT'].includes(entry.action))
+    .slice(-CONTEXT_RECENT_ENTRIES)
+    .reverse()
+    .forEach(entry => (entry.filesModified || []).forEach(path => {
+      if (!recent.includes(path)) recent.push(path);
+    }));
+  projectState.proposal?.files.forEach((_, path) => {
+    if (!recent.includes(path)) recent.unshift(path);
+  });
+  return recent;
+}
+
+/**
+ * Score every file in the code map for relevance to the query
+ * @returns {Map<string, number>} path -> score
+ */
+function scoreFiles(map, query, targetFiles, recentFiles) {
+  const text = query.toLowerCase();
+  const keywords = [...new Set(text.match(/[a-z][a-z0-9_-]{3,}/g) || [])];
+  const paths = Object.keys(map.files);
+  const knownPaths = new Set(paths);
+  const scores = new Map(paths.map(path => [path, 0]));
+  const add = (path, points) => scores.has(path) && scores.set(path, scores.get(path) + points);
+  
+  // Direct mentions of a path or file name
+  const targets = new Set(targetFiles.filter(path => knownPaths.has(path)));
+  paths.forEach(path => {
+    const lower = path.toLowerCase();
+    const name = basename(lower, extname(lower));
+    if (text.includes(lower)) {
+      add(path, SCORE_PATH_MENTION);
+      targets.add(path);
+    } else if (name.length > 2 && new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text)) {
+      add(path, SCORE_NAME_MENTION);
+      targets.add(path);
+    }
+    add(path, keywords.filter(word => lower.includes(word)).length * SCORE_KEYWORD);
+    if (basename(path) === 'package.json' && dirname(path) === '.') add(path, SCORE_PROJECT_MANIFEST);
+  });
+  targetFiles.forEach(path => add(path, SCORE_PATH_MENTION));
+  
+  // Reference graph around the target files
+  paths.forEach(path => {
+    const references = map.files[path].references;
+    if (targets.has(path)) {
+      references.forEach(reference => add(reference, SCORE_IMPORTED_BY_TARGET));
+    }
+    if (references.some(reference => targets.has(reference))) {
+      add(path, SCORE_IMPORTS_TARGET);
+    }
+  });
+  
+  // Recently modified files, decaying with age
+  recentFiles.forEach((path, index) => add(path, SCORE_RECENT / (1 + index / 5)));
+  
+  return scores;
+}
+
+/**
+ * Build the project files section of an agent prompt within a token budget
+ * @param {ProjectState} projectState - Project state
+ * @param {Object} options
+ * @param {string} options.query - Text describing the work (task, requirement, test output)
+ * @param {string[]} options.targetFiles - Files known to be involved
+ * @param {number} options.maxTokens - Budget override (defaults to config "context.maxTokens")
+ * @returns {{text: string, fullFiles: string[], mapOnlyFiles: string[], tokens: number}}
+ */
+export function buildProjectContext(projectState, { query = '', targetFiles = [], maxTokens } = {}) {
+  const budget = maxTokens ?? getContextSettings(projectState).maxTokens;
+  const map = refreshCodeMap(projectState);
+  const paths = Object.keys(map.files).sort();
+  const scores = scoreFiles(map, query, targetFiles, findRecentFiles(projectState));
+  
+  const mapText = `Code map (every project file with its exports, routes, element ids and CSS classes - use only names listed here or defined in your own changes):\n${formatCodeMap(map)}`;
+  let tokens = estimateTokens(mapText);
+  
+  // Most relevant first; smaller files first among equals so more of them fit
+  const ranked = [...paths].sort((a, b) =>
+    scores.get(b) - scores.get(a) || map.files[a].size - map.files[b].size || a.localeCompare(b)
+  );
+  
+  const sections = new Map();
+  ranked.forEach(path => {
+    let content;
+    try {
+      content = projectState.proposal?.getContent(path) ?? readFileSync(join(projectState.projectPath, path), 'utf8');
+    } catch {
+      return;
+    }
+    
+    const full = `File: ${path}\n${content}`;
+    if (tokens + estimateTokens(full) <= budget) {
+      sections.set(path, full);
+      tokens += estimateTokens(full);
+    }
+  });
+  
+  const fullFiles = paths.filter(path => sections.has(path));
+  const mapOnlyFiles = paths.filter(path => !sections.has(path));
+  const parts = [mapText, ...fullFiles.map(path => sections.get(path))];
+  if (mapOnlyFiles.length > 0) {
+    parts.push(`Files shown only in the code map (content omitted to fit the context budget): ${mapOnlyFiles.join(', ')}`);
+  }
+  
+  return { text: parts.join('\n\n---\n\n'), fullFiles, mapOnlyFiles, tokens };
+}
@@ -0,0 +1,128 @@
+/**
+ * Line-based unified diffs for previews
+ */
+
+import { colorize } from './console-utils.js';
+
+// Above this many line pairs the LCS table gets too large; show a full replacement instead
+const MAX_LCS_CELLS = 4000000;
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Compute line operations between two texts
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+  
+  // lcs[i * (m + 1) + j] = LCS length of oldLines[i..] and newLines[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+  
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      ops.push({ type: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: oldLines[i++] });
+  while (j < m) ops.push({ type: '+', line: newLines[j++] });
+  
+  return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string|null} oldText - Current content (null for a new file)
+ * @param {string} newText - Proposed content
+ * @param {string} path - File path for the headers
+ * @param {number} context - Context lines around each change
+ * @returns {string} Unified diff, or '' when nothing changed
+ */
+export function createUnifiedDiff(oldText, newText, path, context = 3) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = diffLines(oldLines, newLines);
+  
+  if (ops.every(op => op.type === ' ')) return '';
+  
+  // Group changes (with context) into hunks
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  
+  ops.forEach((op, index) => {
+    const nearChange = ops
+      .slice(Math.max(0, index - context), index + context + 1)
+      .some(other => other.type !== ' ');
+    
+    if (op.type !== ' ' || nearChange) {
+      if (!current) {
+        current = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(`${op.type}${op.line}`);
+      if (op.type !== '+') current.oldCount++;
+      if (op.type !== '-') current.newCount++;
+    } else {
+      current = null;
+    }
+    
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+  
+  const header = [
+    `--- ${oldText === null ? '/dev/null' : `a/${path}`}`,
+    `+++ b/${path}`
+  ];
+  
+  return [
+    ...header,
+    ...hunks.flatMap(h => [
+      `@@ -${h.oldCount === 0 ? h.oldStart - 1 : h.oldStart},${h.oldCount} +${h.newCount === 0 ? h.newStart - 1 : h.newStart},${h.newCount} @@`,
+      ...h.lines
+    ])
+  ].join('\n');
+}
+
+/**
+ * Colorize a unified diff for terminal output
+ * @param {string} diff - Unified diff
+ * @returns {string}
+ */
+export function colorizeDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return colorize(line, 'bright');
+    if (line.startsWith('@@')) return colorize(line, 'cyan');
+    if (line.startsWith('+')) return colorize(line, 'green');
+    if (line.startsWith('-')) return colorize(line, 'red');
+    return line;
+  }).join('\n');
+}
@@ -10,7 +10,9 @@ export const ERROR_MESSAGES = {
     CREATE_PROJECT: 'Usage: npm run new-project <name> <description>',
     CHANGE_PROJECT: 'Usage: npm run change-project <project-name>',
     BACKLOG: 'Usage: npm run backlog <backlog-description>',
-    RESET_BACKLOG: 'Usage: npm run reset-backlog <id>'
+    RESET_BACKLOG: 'Usage: npm run reset-backlog <id>',
+    TASK: 'Usage: npm run task <description>',
+    APPLY_PROPOSAL: 'Usage: npm run apply-proposal <id> [--force]'
   },
   CLAUDE_ERROR: 'Error calling Claude API',
   GIT_NOT_INSTALLED: 'Git may not be installed',
@@ -0,0 +1,155 @@
+/**
+ * Project file filtering
+ * Decides which project files may be read into agent prompts: paths matched
+ * by the project's .pbtignore (gitignore syntax), lockfiles, binary files and
+ * files over the size limit are left out.
+ */
+
+import { closeSync, existsSync, openSync, readFileSync, readSync, statSync } from 'fs';
+import { join } from 'path';
+import { FILE_SCAN_EXCLUDED_FILES, FILE_SCAN_MAX_BYTES, IGNORE_FILENAME } from './config.js';
+
+// Bytes inspected when looking for binary content
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Read the file scan settings (plan-build-test/config.json "files")
+ * @returns {{maxFileBytes: number}}
+ */
+export function getFileFilterSettings(projectState) {
+  const settings = projectState.getConfig().files || {};
+  return {
+    maxFileBytes: Number.isFinite(settings.maxFileBytes) ? settings.maxFileBytes : FILE_SCAN_MAX_BYTES
+  };
+}
+
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compile one .pbtignore line into a rule
+ * @returns {{regex: RegExp, negate: boolean, dirOnly: boolean}|null} Null for blank lines and comments
+ */
+function compileRule(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+  
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+  
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  
+  // A slash anywhere but the end anchors the pattern to the project root
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+  
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of directories, a trailing "**" everything inside
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) > i) {
+      const end = pattern.indexOf(']', i + 2);
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegex(pattern[++i]);
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  
+  return { regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`), negate, dirOnly };
+}
+
+/**
+ * Parse .pbtignore content into rules
+ * @param {string} text - File content
+ * @returns {Array} Rules in file order
+ */
+export function parseIgnoreRules(text) {
+  return text.split(/\r?\n/).map(compileRule).filter(Boolean);
+}
+
+/**
+ * Whether a path is matched by the rules (the last matching rule wins)
+ * @param {Array} rules - Rules from parseIgnoreRules
+ * @param {string} relativePath - Path relative to the project root, using "/"
+ * @param {boolean} isDir - Whether the path is a directory
+ */
+export function matchesIgnoreRules(rules, relativePath, isDir = false) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if (rule.dirOnly && !isDir) return;
+    if (rule.regex.test(relativePath)) ignored = !rule.negate;
+  });
+  return ignored;
+}
+
+function isBinaryFile(fullPath) {
+  const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+  const fd = openSync(fullPath, 'r');
+  try {
+    const bytesRead = readSync(fd, buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Create a filter for a project's files
+ * @param {string} projectPath - Project root
+ * @param {Object} options
+ * @param {number} options.maxFileBytes - Size limit (defaults to FILE_SCAN_MAX_BYTES)
+ * @returns {{isIgnoredDir: Function, getExclusionReason: Function}}
+ */
+export function createFileFilter(projectPath, { maxFileBytes = FILE_SCAN_MAX_BYTES } = {}) {
+  const ignoreFile = join(projectPath, IGNORE_FILENAME);
+  const rules = existsSync(ignoreFile) ? parseIgnoreRules(readFileSync(ignoreFile, 'utf8')) : [];
+  
+  return {
+    /**
+     * Whether a directory is excluded by .pbtignore (its contents are never scanned)
+     */
+    isIgnoredDir(relativePath) {
+      return matchesIgnoreRules(rules, relativePath, true);
+    },
+    
+    /**
+     * Why a file is excluded
+     * @param {string} relativePath - Path relative to the project root, using "/"
+     * @returns {string|null} Reason, or null if the file may be read
+     */
+    getExclusionReason(relativePath) {
+      const name = relativePath.split('/').pop();
+      if (FILE_SCAN_EXCLUDED_FILES.includes(name)) return 'lockfile';
+      if (matchesIgnoreRules(rules, relativePath)) return IGNORE_FILENAME;
+      
+      const fullPath = join(projectPath, relativePath);
+      try {
+        const { size } = statSync(fullPath);
+        if (size > maxFileBytes) return `${Math.round(size / 1024)} KB, over the ${Math.round(maxFileBytes / 1024)} KB limit`;
+        if (isBinaryFile(fullPath)) return 'binary';
+      } catch {
+        return 'unreadable';
+      }
+      return null;
+    }
+  };
+}
@@ -1,6 +1,7 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, unlinkSync, rmSync, cpSync, appendFileSync } from 'fs';
 import { join, dirname } from 'path';
-import { PROJECTS_DIR, PLAN_BUILD_TEST_DIR, LOGS_FILENAME, TEXT_LOG_FILENAME, TASK_LOG_FILENAME, BACKLOGS_FILENAME, TEMP_DIR, TEMP_FILE_PREFIX, TEMP_FILE_AGE_LIMIT } from './config.js';
+import { PROJECTS_DIR, PLAN_BUILD_TEST_DIR, LOGS_FILENAME, TEXT_LOG_FILENAME, TASK_LOG_FILENAME, BACKLOGS_FILENAME, TEMP_DIR, TEMP_FILE_PREFIX, TEMP_FILE_AGE_LIMIT, IGNORE_FILENAME } from './config.js';
+import { createFileFilter } from './file-filter.js';
 
 /**
  * Get the full path to a project directory
@@ -90,26 +91,52 @@ export function writeBacklogs(projectPath, backlogsData) {
 }
 
 /**
- * Get all project files recursively (excluding certain directories)
+ * Scan project files recursively, skipping excluded directories and files
+ * Dotfiles and excludeDirs are skipped silently; files left out by .pbtignore,
+ * the lockfile list, binary detection or the size limit are reported.
+ * @param {string} projectPath - Project root
+ * @param {Object} options
+ * @param {string[]} options.excludeDirs - Directory names never scanned
+ * @param {number} options.maxFileBytes - Size limit for included files
+ * @returns {{files: string[], excluded: Array<{path: string, reason: string}>}}
  */
-export function getAllProjectFiles(projectPath, excludeDirs = ['node_modules', '.git', 'plan-build-test']) {
+export function scanProjectFiles(projectPath, { excludeDirs = ['node_modules', '.git', 'plan-build-test'], maxFileBytes } = {}) {
   const files = [];
+  const excluded = [];
+  const filter = createFileFilter(projectPath, { maxFileBytes });
   
   function scanDir(dir, prefix = '') {
     if (!existsSync(dir)) return;
     
     const entries = readdirSync(dir, { withFileTypes: true });
     for (const entry of entries) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
       if (entry.isDirectory() && !excludeDirs.includes(entry.name)) {
-        scanDir(join(dir, entry.name), join(prefix, entry.name));
+        if (filter.isIgnoredDir(relativePath)) {
+          excluded.push({ path: `${relativePath}/`, reason: IGNORE_FILENAME });
+        } else {
+          scanDir(join(dir, entry.name), relativePath);
+        }
       } else if (entry.isFile() && !entry.name.startsWith('.')) {
-        files.push(join(prefix, entry.name));
+        const reason = filter.getExclusionReason(relativePath);
+        if (reason) {
+          excluded.push({ path: relativePath, reason });
+        } else {
+          files.push(relativePath);
+        }
       }
     }
   }
   
   scanDir(projectPath);
-  return files;
+  return { files, excluded };
+}
+
+/**
+ * Get all project files recursively (excluding certain directories and filtered files)
+ */
+export function getAllProjectFiles(projectPath, excludeDirs = ['node_modules', '.git', 'plan-build-test'], options = {}) {
+  return scanProjectFiles(projectPath, { ...options, excludeDirs }).files;
 }
 
 /**
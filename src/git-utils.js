@@ -1,17 +1,34 @@
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
-import { writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { writeFileSync, readFileSync, existsSync, rmSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { join, dirname } from 'path';
 import { GIT_IGNORE_CONTENT } from './config.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run git with an argument array (no shell, so arguments are never interpreted)
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(projectPath, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd: projectPath, maxBuffer: 10 * 1024 * 1024 });
+  return stdout.trim();
+}
+
+// Commit trailers recorded on orchestrator commits (metadata field -> trailer key)
+const COMMIT_TRAILERS = {
+  backlogId: 'Backlog-Id',
+  taskNumbers: 'Task-Numbers',
+  agentRole: 'Agent-Role',
+  sessionId: 'Orchestrator-Session'
+};
 
 /**
  * Check if git is initialized in a directory
  */
 export async function isGitInitialized(projectPath) {
   try {
-    await execAsync('git status', { cwd: projectPath });
+    await git(projectPath, ['status']);
     return true;
   } catch {
     return false;
@@ -32,7 +49,7 @@ export async function initializeGit(projectPath) {
     }
     
     // Initialize git
-    await execAsync('git init', { cwd: projectPath });
+    await git(projectPath, ['init']);
     console.log('  ✓ Initialized git repository');
     
     // Check if .gitignore exists, if not create it
@@ -41,12 +58,18 @@ export async function initializeGit(projectPath) {
       writeFileSync(gitignorePath, GIT_IGNORE_CONTENT);
       console.log('  ✓ Created .gitignore');
     } else {
+      // Project state (logs, usage) is kept out of git so branches can't rewind it
+      const existing = readFileSync(gitignorePath, 'utf8');
+      const missing = GIT_IGNORE_CONTENT.split('\n').filter(line => line && !existing.split('\n').includes(line));
+      if (missing.length > 0) {
+        writeFileSync(gitignorePath, `${existing.replace(/\n?$/, '\n')}${missing.join('\n')}\n`);
+      }
       console.log('  ✓ Using existing .gitignore');
     }
     
     // Initial commit
-    await execAsync('git add -A', { cwd: projectPath });
-    await execAsync('git commit -m "Initial commit"', { cwd: projectPath });
+    await git(projectPath, ['add', '-A']);
+    await git(projectPath, ['commit', '-m', 'Initial commit']);
     console.log('  ✓ Created initial commit\n');
     
     return true;
@@ -56,10 +79,62 @@ export async function initializeGit(projectPath) {
   }
 }
 
+/**
+ * Build the trailer paragraph for a commit
+ * @param {Object} metadata - {backlogId, taskNumbers, agentRole, sessionId}; empty fields are skipped
+ * @returns {string} Trailer lines, or '' if there is nothing to record
+ */
+export function formatTrailers(metadata = {}) {
+  return Object.entries(COMMIT_TRAILERS)
+    .map(([field, key]) => {
+      const value = Array.isArray(metadata[field]) ? metadata[field].join(', ') : metadata[field];
+      return value === undefined || value === null || value === '' ? null : `${key}: ${String(value).replace(/\s+/g, ' ')}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Read the known trailers back into metadata fields
+ * @param {string} text - Trailer lines as printed by git log %(trailers)
+ * @returns {Object} {backlogId, taskNumbers, agentRole, sessionId} (only the fields present)
+ */
+export function parseTrailers(text) {
+  const fieldsByKey = Object.fromEntries(Object.entries(COMMIT_TRAILERS).map(([field, key]) => [key.toLowerCase(), field]));
+  const metadata = {};
+  
+  text.split('\n').forEach(line => {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    const field = match && fieldsByKey[match[1].toLowerCase()];
+    if (!field) return;
+    
+    if (field === 'taskNumbers') {
+      metadata.taskNumbers = match[2].split(',').map(n => parseInt(n)).filter(n => !isNaN(n));
+    } else if (field === 'backlogId') {
+      metadata.backlogId = parseInt(match[2]);
+    } else {
+      metadata[field] = match[2].trim();
+    }
+  });
+  
+  return metadata;
+}
+
+/**
+ * Arguments that commit with a message and, when given, trailers as its last paragraph
+ */
+function commitArgs(message, metadata) {
+  const trailers = formatTrailers(metadata);
+  return trailers ? ['-m', message, '-m', trailers] : ['-m', message];
+}
+
 /**
  * Auto commit changes with a message
+ * @param {string} projectPath - Path to the project
+ * @param {string} message - Commit message (passed to git as-is, never through a shell)
+ * @param {Object} metadata - Trailers to attach, see formatTrailers
  */
-export async function autoCommit(projectPath, message) {
+export async function autoCommit(projectPath, message, metadata = {}) {
   try {
     // Check if git is initialized
     if (!await isGitInitialized(projectPath)) {
@@ -67,14 +142,7 @@ export async function autoCommit(projectPath, message) {
       return false;
     }
     
-    // Add all changes
-    await execAsync('git add -A', { cwd: projectPath });
-    
-    // Check if there are changes to commit
-    const { stdout } = await execAsync('git status --porcelain', { cwd: projectPath });
-    if (stdout.trim()) {
-      // Commit changes
-      await execAsync(`git commit -m "${message}"`, { cwd: projectPath });
+    if (await commitAll(projectPath, message, metadata)) {
       console.log(`  ✓ Committed: ${message}`);
       return true;
     } else {
@@ -95,8 +163,7 @@ export async function getCurrentBranch(projectPath) {
     if (!await isGitInitialized(projectPath)) {
       return null;
     }
-    const { stdout } = await execAsync('git branch --show-current', { cwd: projectPath });
-    return stdout.trim();
+    return await git(projectPath, ['branch', '--show-current']);
   } catch {
     return null;
   }
@@ -110,8 +177,7 @@ export async function getGitStatus(projectPath) {
     if (!await isGitInitialized(projectPath)) {
       return null;
     }
-    const { stdout } = await execAsync('git status --porcelain', { cwd: projectPath });
-    return stdout.trim();
+    return await git(projectPath, ['status', '--porcelain']);
   } catch {
     return null;
   }
@@ -125,9 +191,243 @@ export async function getRecentCommits(projectPath, count = 10) {
     if (!await isGitInitialized(projectPath)) {
       return [];
     }
-    const { stdout } = await execAsync(`git log --oneline -n ${count}`, { cwd: projectPath });
-    return stdout.trim().split('\n').filter(line => line.length > 0);
+    const stdout = await git(projectPath, ['log', '--oneline', '-n', String(count)]);
+    return stdout.split('\n').filter(line => line.length > 0);
   } catch {
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Find commits by their trailers
+ * Searches every branch and tag, so work left on unmerged backlog branches is included.
+ * @param {string} projectPath - Path to the project
+ * @param {Object} filter - Any of {backlogId, taskNumber, agentRole, sessionId}
+ * @returns {Promise<Array>} {sha, date, subject, ...metadata}, newest first
+ */
+export async function findCommits(projectPath, filter = {}) {
+  if (!await isGitInitialized(projectPath)) {
+    return [];
+  }
+  
+  let stdout;
+  try {
+    stdout = await git(projectPath, ['log', '--all', '--format=%H%x1f%aI%x1f%s%x1f%(trailers:only,unfold)%x1e']);
+  } catch {
+    // No commits yet
+    return [];
+  }
+  
+  const commits = stdout.split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, date, subject, trailers = ''] = record.split('\x1f');
+      return { sha, date, subject, ...parseTrailers(trailers) };
+    });
+  
+  return commits.filter(commit =>
+    (filter.backlogId === undefined || commit.backlogId === parseInt(filter.backlogId)) &&
+    (filter.taskNumber === undefined || (commit.taskNumbers || []).includes(parseInt(filter.taskNumber))) &&
+    (filter.agentRole === undefined || commit.agentRole?.toLowerCase() === String(filter.agentRole).toLowerCase()) &&
+    (filter.sessionId === undefined || commit.sessionId === filter.sessionId)
+  );
+}
+
+/**
+ * Commit the current working tree and tag it as a checkpoint
+ * @param {string} projectPath - Path to the project
+ * @param {string} tag - Tag name (e.g. pbt/task-3), moved if it already exists
+ * @param {string} message - Commit message used when there are changes
+ * @param {Object} metadata - Trailers to attach, see formatTrailers
+ * @returns {Promise<string|null>} Commit sha of the checkpoint, or null if git is unavailable
+ */
+export async function createCheckpoint(projectPath, tag, message, metadata = {}) {
+  try {
+    if (!await isGitInitialized(projectPath)) {
+      return null;
+    }
+    
+    await commitAll(projectPath, message, metadata);
+    await git(projectPath, ['tag', '-f', tag]);
+    return await git(projectPath, ['rev-parse', 'HEAD']);
+  } catch (error) {
+    console.log('  ⚠️  Git checkpoint failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Restore the working tree to a checkpoint and commit the result
+ * History is kept: the rollback is a new commit on top of HEAD.
+ * @param {string} projectPath - Path to the project
+ * @param {string} ref - Checkpoint commit or tag
+ * @param {string[]} keepPaths - Paths left untouched (project state files)
+ * @param {string} message - Commit message for the rollback
+ * @param {Object} metadata - Trailers to attach, see formatTrailers
+ * @returns {Promise<{restored: string[], removed: string[]}>}
+ */
+export async function rollbackToCheckpoint(projectPath, ref, keepPaths, message, metadata = {}) {
+  const exclude = keepPaths.map(path => `:(exclude)${path}`);
+  const isKept = file => keepPaths.some(path => file === path || file.startsWith(`${path}/`));
+  const lines = output => output.split('\n').filter(Boolean);
+  
+  // Files added after the checkpoint (tracked or not) have to be removed explicitly
+  const atCheckpoint = new Set(lines(await git(projectPath, ['ls-tree', '-r', '--name-only', ref])));
+  const current = lines(await git(projectPath, ['ls-files', '--cached', '--others', '--exclude-standard']));
+  const removed = [...new Set(current)].filter(file => !atCheckpoint.has(file) && !isKept(file));
+  
+  removed.forEach(file => rmSync(join(projectPath, file), { force: true }));
+  await git(projectPath, ['checkout', ref, '--', '.', ...exclude]);
+  
+  const restored = lines(await git(projectPath, ['diff', '--name-only', 'HEAD', '--', '.', ...exclude]))
+    .filter(file => !removed.includes(file));
+  
+  await commitAll(projectPath, message, metadata);
+  
+  return { restored, removed };
+}
+
+/**
+ * Check whether a local branch exists
+ */
+export async function branchExists(projectPath, branch) {
+  try {
+    await git(projectPath, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Commit all changes (if any) with a message
+ * @param {string} projectPath - Path to the project
+ * @param {string} message - Commit message
+ * @param {Object} metadata - Trailers to attach, see formatTrailers
+ * @returns {Promise<boolean>} True if a commit was made
+ */
+export async function commitAll(projectPath, message, metadata = {}) {
+  await git(projectPath, ['add', '-A']);
+  if (!await git(projectPath, ['status', '--porcelain'])) {
+    return false;
+  }
+  await git(projectPath, ['commit', ...commitArgs(message, metadata)]);
+  return true;
+}
+
+/**
+ * Read every file under the given paths (files or directories)
+ * @returns {Map<string, Buffer>} Project-relative path -> content
+ */
+function readFiles(projectPath, paths) {
+  const files = new Map();
+  paths.forEach(path => {
+    const fullPath = join(projectPath, path);
+    if (!existsSync(fullPath)) return;
+    const entries = statSync(fullPath).isDirectory()
+      ? readdirSync(fullPath, { recursive: true }).map(entry => join(path, entry))
+      : [path];
+    entries
+      .filter(entry => statSync(join(projectPath, entry)).isFile())
+      .forEach(entry => files.set(entry, readFileSync(join(projectPath, entry))));
+  });
+  return files;
+}
+
+/**
+ * Files under the given paths in a commit (none before the first commit)
+ */
+async function listCommittedFiles(projectPath, ref, paths) {
+  try {
+    return (await git(projectPath, ['ls-tree', '-r', '--name-only', ref, '--', ...paths])).split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Switch to a branch, creating it from the current HEAD if needed
+ * Files under keepPaths (project state such as logs and backlogs) stay exactly
+ * as they are: the branch's copies are replaced by the current content, and
+ * copies the branch has that don't exist now are removed.
+ * @param {string[]} keepPaths - Project-relative files or directories to keep
+ */
+export async function checkoutBranch(projectPath, branch, create = false, keepPaths = []) {
+  const args = create ? ['checkout', '-b', branch] : ['checkout', branch];
+  if (keepPaths.length === 0) {
+    await git(projectPath, args);
+    return;
+  }
+  
+  const kept = readFiles(projectPath, keepPaths);
+  try {
+    // Clean copies can't block the checkout: committed ones as in HEAD, the rest removed
+    const committed = await listCommittedFiles(projectPath, 'HEAD', keepPaths);
+    if (committed.length > 0) {
+      await git(projectPath, ['checkout', 'HEAD', '--', ...committed]);
+    }
+    [...kept.keys()]
+      .filter(file => !committed.includes(file))
+      .forEach(file => rmSync(join(projectPath, file), { force: true }));
+    
+    await git(projectPath, args);
+  } finally {
+    // Also after a failed checkout, so the state is never lost
+    (await listCommittedFiles(projectPath, 'HEAD', keepPaths))
+      .filter(file => !kept.has(file))
+      .forEach(file => rmSync(join(projectPath, file), { force: true }));
+    kept.forEach((content, file) => {
+      mkdirSync(dirname(join(projectPath, file)), { recursive: true });
+      writeFileSync(join(projectPath, file), content);
+    });
+  }
+}
+
+/**
+ * Check out a branch in a new worktree
+ * @param {string} projectPath - Path to the project
+ * @param {string} worktreePath - Directory for the worktree (must not exist)
+ * @param {string} branch - Branch to check out
+ * @param {string|null} startPoint - Create the branch from this ref (null to use an existing branch)
+ */
+export async function addWorktree(projectPath, worktreePath, branch, startPoint = null) {
+  await git(projectPath, startPoint
+    ? ['worktree', 'add', '-b', branch, worktreePath, startPoint]
+    : ['worktree', 'add', worktreePath, branch]);
+}
+
+/**
+ * Remove a worktree, discarding uncommitted changes in it (the branch is kept)
+ * @param {string} projectPath - Path to the project
+ * @param {string} worktreePath - Worktree directory
+ */
+export async function removeWorktree(projectPath, worktreePath) {
+  await git(projectPath, ['worktree', 'remove', '--force', worktreePath]);
+  await git(projectPath, ['worktree', 'prune']);
+}
+
+/**
+ * Merge a branch into the current branch
+ * A failed merge is aborted so the working tree is left clean.
+ * @param {string} projectPath - Path to the project
+ * @param {string} branch - Branch to merge
+ * @param {string} strategy - 'merge' (no fast-forward) or 'squash'
+ * @param {string} message - Commit message
+ * @param {Object} metadata - Trailers to attach, see formatTrailers
+ * @returns {Promise<string>} Sha of the resulting commit
+ */
+export async function mergeBranch(projectPath, branch, strategy, message, metadata = {}) {
+  try {
+    if (strategy === 'squash') {
+      await git(projectPath, ['merge', '--squash', branch]);
+      await git(projectPath, ['commit', '--allow-empty', ...commitArgs(message, metadata)]);
+    } else {
+      await git(projectPath, ['merge', '--no-ff', ...commitArgs(message, metadata), branch]);
+    }
+  } catch (error) {
+    await git(projectPath, ['merge', '--abort']).catch(() => git(projectPath, ['reset', '--hard', 'HEAD']));
+    throw error;
+  }
+  return git(projectPath, ['rev-parse', 'HEAD']);
+}
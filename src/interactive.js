@@ -0,0 +1,229 @@
+/**
+ * Interactive approval gates between Plan, Build and Test
+ * Enabled with --interactive: the user reviews the task list after planning,
+ * each Coder file change before it is written, and confirms before tests run.
+ * Every decision is logged so resumed runs follow the reviewed plan.
+ */
+
+import { createInterface } from 'readline';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { Logger } from './logger.js';
+import { createUnifiedDiff, colorizeDiff } from './diff-utils.js';
+
+let rl = null;
+const bufferedLines = [];
+const waiting = [];
+let inputClosed = false;
+
+// Lines are buffered so piped answers typed ahead are not lost between questions
+function getInterface() {
+  if (!rl) {
+    rl = createInterface({ input: process.stdin, terminal: false });
+    rl.on('line', line => {
+      const resolve = waiting.shift();
+      if (resolve) resolve(line);
+      else bufferedLines.push(line);
+    });
+    rl.on('close', () => {
+      inputClosed = true;
+      waiting.splice(0).forEach(resolve => resolve(''));
+    });
+  }
+  return rl;
+}
+
+/**
+ * Ask a question and wait for one line of input
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Trimmed answer ('' once input is closed)
+ */
+export function ask(question) {
+  getInterface();
+  process.stdout.write(`❓ ${question} `);
+  
+  if (bufferedLines.length > 0) {
+    return Promise.resolve(bufferedLines.shift().trim());
+  }
+  if (inputClosed) {
+    return Promise.resolve('');
+  }
+  return new Promise(resolve => waiting.push(resolve)).then(answer => answer.trim());
+}
+
+/**
+ * Release stdin so the process can exit
+ */
+export function closePrompts() {
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+}
+
+function printTasks(tasks) {
+  tasks.forEach((task, i) => {
+    const number = task.taskNumber ? ` (#${task.taskNumber})` : ' (new)';
+    Logger.command(`${i + 1}. ${task.description}${number}`);
+  });
+}
+
+/**
+ * Let the user edit, delete, reorder and add tasks before building
+ * Logs TASKS_EDITED with the final ordered list when anything changed;
+ * new tasks get a number and a CREATE_TASK entry of their own.
+ * @param {ProjectState} projectState - Project state
+ * @param {string} requirement - Requirement the tasks belong to
+ * @param {Array} tasks - Numbered tasks from the planner
+ * @returns {Promise<Array>} Reviewed tasks in build order
+ */
+export async function reviewTasks(projectState, requirement, tasks) {
+  let reviewed = tasks.map(task => ({ ...task }));
+  const changes = [];
+  
+  Logger.section('Review the task list', '🧐');
+  Logger.info('Commands: a = approve, e N = edit, d N = delete, m N M = move N to M, n [M] = new task (at M), q = quit', true);
+  
+  for (;;) {
+    console.log(''); // Empty line
+    printTasks(reviewed);
+    const [command, ...params] = (await ask('Tasks OK? [a/e/d/m/n/q]')).split(/\s+/);
+    const [first, second] = params.map(p => parseInt(p) - 1);
+    const valid = index => index >= 0 && index < reviewed.length;
+    
+    if (command === '' || command === 'a') {
+      break;
+    } else if (command === 'q') {
+      throw new Error('Plan rejected during task review');
+    } else if (command === 'e' && valid(first)) {
+      const description = await ask(`New description for task ${first + 1}:`);
+      if (description) {
+        changes.push({ type: 'edit', from: reviewed[first].description, to: description });
+        reviewed[first] = { ...reviewed[first], description };
+      }
+    } else if (command === 'd' && valid(first)) {
+      const [removed] = reviewed.splice(first, 1);
+      changes.push({ type: 'delete', taskNumber: removed.taskNumber ?? null, description: removed.description });
+    } else if (command === 'm' && valid(first) && valid(second)) {
+      const [moved] = reviewed.splice(first, 1);
+      reviewed.splice(second, 0, moved);
+      changes.push({ type: 'move', description: moved.description, to: second + 1 });
+    } else if (command === 'n') {
+      const description = await ask('Description of the new task:');
+      if (description) {
+        const position = Number.isInteger(first) ? Math.min(Math.max(first, 0), reviewed.length) : reviewed.length;
+        reviewed.splice(position, 0, { description, test: 'verify manually' });
+        changes.push({ type: 'add', description, position: position + 1 });
+      }
+    } else {
+      Logger.warning('Unknown command or task number', true);
+    }
+  }
+  
+  if (reviewed.length === 0) {
+    throw new Error('Plan rejected during task review (no tasks left)');
+  }
+  
+  if (changes.length === 0) {
+    return reviewed;
+  }
+  
+  // Number and log tasks added during review
+  reviewed.forEach((task, i) => {
+    if (task.taskNumber) return;
+    task.taskNumber = projectState.getNextTaskNumber();
+    projectState.appendLog({
+      action: 'CREATE_TASK',
+      taskNumber: task.taskNumber,
+      taskIndex: i + 1,
+      totalTasks: reviewed.length,
+      description: task.description,
+      testCommand: task.test,
+      requirement,
+      addedInReview: true
+    });
+  });
+  
+  projectState.appendLog({
+    action: 'TASKS_EDITED',
+    requirement,
+    tasks: reviewed.map(({ taskNumber, description, test }) => ({ taskNumber, description, test })),
+    removedTaskNumbers: changes.filter(c => c.type === 'delete' && c.taskNumber).map(c => c.taskNumber),
+    changes
+  });
+  Logger.success(`Task list updated (${changes.length} change(s))`);
+  
+  return reviewed;
+}
+
+/**
+ * Show each proposed file change and let the user approve, skip or retry it
+ * Logs a CHANGE_DECISION per file.
+ * @param {ProjectState} projectState - Project state
+ * @param {Array<{path: string, content: string}>} changes - Resolved Coder changes
+ * @returns {Promise<{approved: Array, retry: {path: string, feedback: string}|null}>}
+ */
+export async function reviewFileChanges(projectState, changes) {
+  const approved = [];
+  let approveRest = false;
+  
+  for (const change of changes) {
+    const fullPath = join(projectState.projectPath, change.path);
+    const current = projectState.proposal?.getContent(change.path)
+      ?? (existsSync(fullPath) ? readFileSync(fullPath, 'utf8') : null);
+    const diff = createUnifiedDiff(current, change.content, change.path);
+    
+    let decision = 'approve';
+    let feedback;
+    
+    if (!approveRest) {
+      console.log(''); // Empty line
+      console.log(colorizeDiff(diff || `(no changes to ${change.path})`));
+      const answer = await ask(`Apply ${change.path}? [a]pprove / [s]kip / [r]etry / approve a[l]l`);
+      
+      if (answer === 's') {
+        decision = 'skip';
+      } else if (answer === 'r') {
+        decision = 'retry';
+        feedback = await ask('What should the Coder do differently?');
+      } else if (answer === 'l') {
+        approveRest = true;
+      }
+    }
+    
+    projectState.appendLog({
+      action: 'CHANGE_DECISION',
+      ...(projectState.activeContext.taskNumber ? { taskNumber: projectState.activeContext.taskNumber } : {}),
+      path: change.path,
+      decision,
+      ...(feedback ? { feedback } : {})
+    });
+    
+    if (decision === 'retry') {
+      return { approved: [], retry: { path: change.path, feedback } };
+    }
+    if (decision === 'approve') {
+      approved.push(change);
+    } else {
+      Logger.info(`Skipped: ${change.path}`, true);
+    }
+  }
+  
+  return { approved, retry: null };
+}
+
+/**
+ * Ask before running tests
+ * @returns {Promise<boolean>} True if tests should run
+ */
+export async function confirmTests(projectState) {
+  const answer = await ask('Run tests now? [Y/n]');
+  const approved = answer.toLowerCase() !== 'n';
+  
+  projectState.appendLog({
+    action: 'TEST_GATE_DECISION',
+    decision: approved ? 'run' : 'skip'
+  });
+  
+  return approved;
+}
@@ -6,7 +6,7 @@ import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync, readdirSync
 // Import shared utilities
 import { 
   getProjectPath, getPlanBuildTestPath, ensureDir, ensureDirExists, 
-  readJsonFile, writeJsonFile, getAllProjectFiles, getAllProjectFilesWithContent,
+  readJsonFile, writeJsonFile,
   copyDirectory, deleteDirectory, cleanupTempFiles, appendTextLog as appendTextLogUtil
 } from './file-utils.js';
 import { initializeGit as initGit, autoCommit } from './git-utils.js';
@@ -17,7 +17,7 @@ import {
   parseAgentResponse, parseTasks, parseFileContent, parseTestFixResponse, 
   parseBacklogs, parseProjectReview, parseRefactorAnalysis 
 } from './agent-parsers.js';
-import { callClaude } from './claude-utils.js';
+import { callAgent } from './claude-utils.js';
 import { 
   ensurePackageJson, ensurePlaywrightConfig, ensureTestSetup, 
   installDependencies, killProcessOnPort, runTests as runTestsUtil, 
@@ -27,20 +27,26 @@ import {
 // Import new utilities from Phase 1 refactoring
 import { npmInstall, npmTest, killProcessOnPort as killPort, npmStart } from './npm-utils.js';
 import { Logger } from './logger.js';
-import { TaskManager } from './task-manager.js';
+import { TaskManager, linkTaskDependencies } from './task-manager.js';
+import { BudgetExceededError, enforceBudget, reportBudgetExceeded } from './budget.js';
+import { resolveFileChanges } from './patch-utils.js';
+import { safeWriteFile, filterSafeFiles } from './safe-write.js';
+import { CODER_PATCH_MAX_RETRIES, FIX_LOOP_MAX_ITERATIONS, FIX_LOOP_MODE, FIX_LOOP_MAX_OUTPUT, PARALLEL_MAX_WORKERS, TEST_TIMEOUT } from './config.js';
+import { reviewTasks, reviewFileChanges } from './interactive.js';
+import { checkpointsEnabled, createTaskCheckpoint, rollbackTo } from './checkpoints.js';
+import { commitTask, mergeBacklogBranch } from './backlog-branches.js';
+import { buildProjectContext } from './context-builder.js';
+import { refreshCodeMap } from './code-map.js';
+import { breakCycles } from './backlog-graph.js';
+import {
+  mapCriteriaToTests, restoreCriteriaTests, verifyCriteria, summarizeCriteria, formatCriteriaStatus
+} from './acceptance-criteria.js';
 
 const execAsync = promisify(exec);
 
 // Create PROMPTS object using template utilities
 const PROMPTS = createPrompts();
 
-/**
- * Wrapper for callClaude to maintain compatibility
- */
-async function callClaudeWrapper(prompt, role, projectState = null, retryCount = 0) {
-  return callClaude(prompt, role, projectState, retryCount);
-}
-
 /**
  * Execute create-project command flow
  */
@@ -208,9 +214,10 @@ export async function runArchitect(projectState, requirement, state) {
   projectState.appendTextLog(`\nArchitect designing solution...`);
   projectState.appendTaskLog('PLAN', `Creating tasks for: ${requirement}`);
   
-  const architectResult = await callClaudeWrapper(
+  const architectResult = await callAgent(
     PROMPTS.architect(requirement), 
     'Architect', 
+    'architect',
     projectState
   );
   
@@ -229,20 +236,25 @@ export async function runArchitect(projectState, requirement, state) {
   // Sync task counter with logs before assigning new task numbers
   projectState.syncTaskCounter();
   
-  // Assign task numbers and log each task
+  // Assign task numbers, then resolve the plan's dependencies to them
+  state.tasks.forEach(task => {
+    task.taskNumber = projectState.getNextTaskNumber();
+  });
+  linkTaskDependencies(state.tasks);
+  
+  // Log each task
   state.tasks.forEach((task, i) => {
-    const taskNum = projectState.getNextTaskNumber();
-    task.taskNumber = taskNum;
-    
     Logger.command(`${i + 1}. ${task.description}`);
     
     projectState.appendLog({
       action: 'CREATE_TASK',
-      taskNumber: taskNum,
+      taskNumber: task.taskNumber,
       taskIndex: i + 1,
       totalTasks: state.tasks.length,
       description: task.description,
       testCommand: task.test,
+      dependsOn: task.dependsOn,
+      files: task.files,
       requirement: requirement
     });
   });
@@ -254,6 +266,10 @@ export async function runArchitect(projectState, requirement, state) {
     details: `Created ${state.tasks.length} tasks`,
     tasks: state.tasks
   });
+  
+  if (state.interactive) {
+    state.tasks = await reviewTasks(projectState, requirement, state.tasks);
+  }
 }
 
 /**
@@ -264,9 +280,10 @@ export async function runArchitectBacklogs(projectState, requirement, state) {
   projectState.appendTextLog(`\nArchitect creating backlogs...`);
   projectState.appendTaskLog('PLAN', `Creating backlogs for: ${requirement}`);
   
-  const architectResult = await callClaudeWrapper(
+  const architectResult = await callAgent(
     loadTemplate('architect-backlogs').replace('${requirement}', requirement), 
     'Architect', 
+    'architect-backlogs',
     projectState
   );
   
@@ -289,6 +306,21 @@ export async function runArchitectBacklogs(projectState, requirement, state) {
     }))
   };
   
+  // Drop dependencies on backlogs the Architect didn't create
+  const ids = backlogsData.backlogs.map(b => b.id);
+  backlogsData.backlogs.forEach(backlog => {
+    const dependencies = (backlog.dependencies || []).filter(dep => dep !== backlog.id && ids.includes(dep));
+    if (dependencies.length < (backlog.dependencies || []).length) {
+      Logger.warning(`Backlog #${backlog.id}: ignoring unknown dependencies ${backlog.dependencies.filter(dep => !dependencies.includes(dep)).join(', ')}`);
+    }
+    backlog.dependencies = dependencies;
+  });
+  
+  // A circular dependency would fail the save; drop the edge that closes each cycle
+  breakCycles(backlogsData.backlogs).forEach(({ backlogId, dependency }) => {
+    Logger.warning(`Backlog #${backlogId}: ignoring dependency on #${dependency} (circular)`);
+  });
+  
   projectState.saveBacklogsData(backlogsData);
   Logger.section(`Created ${backlogsData.backlogs.length} backlogs`, '📋');
   
@@ -328,9 +360,10 @@ export async function runProjectReviewer(projectState, requirement, state) {
   projectState.appendTextLog(`\nReviewing project...`);
   projectState.appendTaskLog('PLAN/REVIEW', 'Analyzing current state');
   
-  const reviewResult = await callClaudeWrapper(
+  const reviewResult = await callAgent(
     PROMPTS.reviewProject(projectState.projectPath.split('/').pop(), logSummary, requirement, taskLogContent),
     'Project Reviewer',
+    'project-reviewer',
     projectState
   );
   
@@ -355,14 +388,15 @@ export async function runProjectReviewer(projectState, requirement, state) {
 export async function runRefactorAnalyst(projectState, requirement, state) {
   Logger.section('Analyzing code for refactoring...', '♻️');
   
-  const allFiles = getAllProjectFilesWithContent(projectState.projectPath).join('\n');
+  const allFiles = formatProjectFiles(projectState, requirement);
   
   projectState.appendTextLog(`\nRefactor Analyst analyzing code...`);
   projectState.appendTaskLog('PLAN', `Refactor analysis: ${requirement}`);
   
-  const refactorResult = await callClaudeWrapper(
+  const refactorResult = await callAgent(
     PROMPTS.refactorAnalyst(requirement, allFiles), 
     'Refactor Analyst', 
+    'refactor-analyst',
     projectState
   );
   
@@ -402,10 +436,17 @@ export async function runRefactorAnalyst(projectState, requirement, state) {
       requirement: requirement
     });
   });
+  
+  if (state.interactive) {
+    state.tasks = await reviewTasks(projectState, requirement, state.tasks);
+  }
 }
 
 /**
  * Run Coder for all tasks
+ * Coder calls for tasks that share no files and don't depend on each other run
+ * concurrently; their changes are applied, tested, logged and committed one
+ * task at a time in build order, so logs and commits read as a sequential run.
  */
 // TODO: Move to src/agents/ai-agents.js
 export async function runCoderTasks(projectState, requirement, state) {
@@ -434,46 +475,87 @@ export async function runCoderTasks(projectState, requirement, state) {
     projectState.appendTextLog(`\nResuming from task ${startIndex + 1}`);
   }
   
+  const { maxWorkers } = getParallelSettings(projectState, state);
+  if (maxWorkers > 1) {
+    Logger.info(`Building up to ${maxWorkers} independent tasks at a time`, true);
+  }
+  
+  // Pending Coder requests by task index
+  const running = new Map();
+  // Number of tasks applied so far, and when each path was last written
+  let appliedCount = 0;
+  const lastWritten = new Map();
+  let budgetError = null;
+  
+  // In-flight requests are allowed to finish before stopping; their results are discarded
+  const stopRunning = async () => {
+    if (running.size === 0) return;
+    Logger.info(`Waiting for ${running.size} task(s) in progress; they stay pending`, true);
+    await Promise.all(running.values());
+    running.clear();
+  };
+  
   for (let i = startIndex; i < state.tasks.length; i++) {
+    // Start every task that can be built alongside the unapplied ones before it
+    for (let j = i; j < state.tasks.length && running.size < maxWorkers && !budgetError; j++) {
+      if (running.has(j) || !canStartTask(state.tasks, i, j)) continue;
+      
+      try {
+        enforceBudget(projectState);
+      } catch (error) {
+        if (!(error instanceof BudgetExceededError)) {
+          await stopRunning();
+          throw error;
+        }
+        budgetError = error;
+        break;
+      }
+      
+      const task = state.tasks[j];
+      Logger.task(task.taskNumber, `${j + 1}/${state.tasks.length}`, task.description);
+      projectState.appendTextLog(`\nStarting Task ${task.taskNumber}: ${task.description}`);
+      projectState.appendTaskLog('BUILD', `Task ${task.taskNumber}: ${task.description}`);
+      running.set(j, requestTaskChanges(projectState, requirement, state, task, appliedCount));
+    }
+    
+    // Stop cleanly before a task that would run over budget
+    if (!running.has(i)) {
+      await stopRunning();
+      reportBudgetExceeded(projectState, budgetError, state.tasks.slice(i));
+      state.budgetExceeded = budgetError.exceeded;
+      return;
+    }
+    
     const task = state.tasks[i];
+    let { changes, error, startedAt } = await running.get(i);
+    running.delete(i);
+    projectState.setActiveContext({ taskNumber: task.taskNumber });
     
-    Logger.task(task.taskNumber, `${i + 1}/${state.tasks.length}`, task.description);
-    projectState.appendTextLog(`\nStarting Task ${task.taskNumber}: ${task.description}`);
-    projectState.appendTaskLog('BUILD', `Task ${task.taskNumber}: ${task.description}`);
+    // Checkpoint so a failed task can be rolled back
+    const checkpoint = checkpointsEnabled(projectState)
+      ? await createTaskCheckpoint(projectState, task)
+      : null;
     
     try {
-      // Get all existing files
-      const allFiles = getAllProjectFiles(projectState.projectPath)
-        .map(f => `File: ${f}\n${readFileSync(join(projectState.projectPath, f), 'utf8')}`)
-        .join('\n\n---\n\n');
-      
-      // Call Coder
-      const coderResult = await callClaudeWrapper(
-        PROMPTS.coder(requirement, task.description, allFiles), 
-        'Coder',
-        projectState
-      );
+      if (error) throw error;
       
-      // Parse and create/update files
-      const coderJson = parseAgentResponse(coderResult, 'Coder');
-      let codeFiles = [];
-      
-      if (coderJson && coderJson.files) {
-        codeFiles = coderJson.files.map(f => ({
-          path: f.path,
-          content: f.content
-        }));
-      } else {
-        // Fallback to text parsing
-        codeFiles = parseFileContent(coderResult);
+      // An earlier task changed the same files while this one was built: ask again on the current files
+      if (changes.some(change => lastWritten.get(change.path) > startedAt)) {
+        Logger.info(`Task ${task.taskNumber} changes files updated by an earlier task; asking the Coder again...`, true);
+        ({ changes, error } = await requestTaskChanges(projectState, requirement, state, task, appliedCount));
+        if (error) throw error;
       }
       
-      for (const file of codeFiles) {
-        const filePath = join(projectState.projectPath, file.path);
-        ensureDir(filePath);
-        writeFileSync(filePath, file.content);
-        Logger.file(existsSync(filePath) ? 'Updated' : 'Created', file.path);
-        projectState.appendTextLog(`  ${existsSync(filePath) ? 'Updated' : 'Created'}: ${file.path}`);
+      applyCoderChanges(projectState, changes);
+      appliedCount++;
+      changes.forEach(change => lastWritten.set(change.path, appliedCount));
+      
+      // Per-task mode: catch regressions before the task counts as done
+      await checkTaskWithTests(projectState, requirement, state);
+      if (state.budgetExceeded) {
+        await stopRunning();
+        projectState.clearActiveContext(['taskNumber']);
+        return;
       }
       
       // Mark task complete
@@ -485,11 +567,13 @@ export async function runCoderTasks(projectState, requirement, state) {
         taskIndex: i + 1,
         totalTasks: state.tasks.length,
         description: task.description,
-        filesModified: codeFiles.map(f => f.path)
+        backlogId: projectState.activeContext.backlogId ?? null,
+        filesModified: changes.map(f => f.path)
       });
       
       Logger.taskComplete(task.taskNumber);
       projectState.appendTaskLog('TEST', `Task ${task.taskNumber} ready for testing`);
+      await commitTask(projectState, task);
       
       // Clear last incomplete task on success
       projectState.clearLastIncompleteTask();
@@ -510,66 +594,304 @@ export async function runCoderTasks(projectState, requirement, state) {
       projectState.appendTextLog(`ERROR: Task ${task.taskNumber} failed - ${error.message}`);
       projectState.appendTaskLog('ERROR', `Task ${task.taskNumber} failed: ${error.message}`);
       
+      // Undo the failed task's partial changes
+      if (checkpoint) {
+        try {
+          await rollbackTo(projectState, checkpoint, `Task ${task.taskNumber} failed: ${error.message}`, true);
+        } catch (rollbackError) {
+          Logger.warning(`Rollback failed: ${rollbackError.message}`);
+        }
+      }
+      
       // Store incomplete task info
       projectState.setLastIncompleteTask(i);
+      projectState.clearActiveContext(['taskNumber']);
+      await stopRunning();
       
       // Re-throw to stop execution
       throw error;
     }
   }
   
+  projectState.clearActiveContext(['taskNumber']);
+  
   Logger.success('All tasks completed!');
   console.log(''); // Empty line // Empty line
 }
 
+/**
+ * Read the parallel build settings (plan-build-test/config.json "parallel")
+ * Interactive review and per-task tests need one task at a time.
+ * @returns {{maxWorkers: number}}
+ */
+function getParallelSettings(projectState, state) {
+  const settings = projectState.getConfig().parallel || {};
+  const fixLoop = getFixLoopSettings(projectState);
+  const sequential = state.interactive || (fixLoop.enabled && fixLoop.mode === 'task');
+  return {
+    maxWorkers: sequential ? 1 : Math.max(1, settings.maxWorkers ?? PARALLEL_MAX_WORKERS)
+  };
+}
+
+/**
+ * Whether a task can be built before the earlier tasks are applied
+ * It must not depend on them or share files with them; tasks that don't
+ * declare their files are built only after everything before them.
+ * @param {Array} tasks - Tasks in build order
+ * @param {number} first - Index of the first task not yet applied
+ * @param {number} index - Index of the task to start
+ */
+function canStartTask(tasks, first, index) {
+  const task = tasks[index];
+  return tasks.slice(first, index).every(earlier =>
+    earlier.files?.length > 0 && task.files?.length > 0 &&
+    !task.dependsOn?.includes(earlier.taskNumber) &&
+    !earlier.files.some(path => task.files.includes(path))
+  );
+}
+
+/**
+ * Ask the Coder for one task's changes without applying them
+ * Agent calls are attributed to the task. Failures are returned rather than
+ * thrown so they are reported when the task's turn comes.
+ * @param {number} startedAt - Number of tasks applied when the request started
+ * @returns {Promise<{changes?: Array, error?: Error, startedAt: number}>}
+ */
+function requestTaskChanges(projectState, requirement, state, task, startedAt) {
+  return projectState.runWithContext({ taskNumber: task.taskNumber }, async () => {
+    // Get the existing files most relevant to this task
+    const allFiles = formatProjectFiles(projectState, `${task.description}\n${requirement}`);
+    
+    // Call Coder and resolve its changes against the current files
+    const changes = await requestApprovedChanges(
+      projectState,
+      PROMPTS.coder(requirement, task.description, allFiles),
+      state
+    );
+    return { changes, startedAt };
+  }).catch(error => ({ error, startedAt }));
+}
+
 /**
  * Run Coder to fix specific issues
  */
 export async function runCoderFix(projectState, requirement, recommendation, state) {
   Logger.section('Fixing issues...', '🔧');
   
-  const allFiles = getAllProjectFiles(projectState.projectPath)
-    .map(f => `File: ${f}\n${readFileSync(join(projectState.projectPath, f), 'utf8')}`)
-    .join('\n\n---\n\n');
+  const allFiles = formatProjectFiles(projectState, `${recommendation}\n${requirement}`);
   
   projectState.appendTextLog(`\nFixing issues based on: ${recommendation}`);
   projectState.appendTaskLog('BUILD', `Fixing: ${recommendation}`);
   
-  const coderResult = await callClaudeWrapper(
-    PROMPTS.coder(requirement, `Fix this issue: ${recommendation}`, allFiles), 
-    'Coder',
-    projectState
+  const codeFiles = await requestApprovedChanges(
+    projectState,
+    PROMPTS.coder(requirement, `Fix this issue: ${recommendation}`, allFiles),
+    state
   );
   
-  // Parse and update files
+  applyCoderChanges(projectState, codeFiles, 'Fixed');
+  
+  Logger.success('Fixes applied!');
+  console.log(''); // Empty line // Empty line
+}
+
+/**
+ * Format the project files for a prompt, including changes proposed earlier in a dry run
+ * The code map is always included; files are ranked by relevance to the query
+ * and sent in full while they fit the context budget.
+ * @param {ProjectState} projectState - Project state
+ * @param {string} query - Text describing the work (task, requirement, test output)
+ */
+function formatProjectFiles(projectState, query) {
+  const context = buildProjectContext(projectState, { query });
+  if (context.mapOnlyFiles.length > 0) {
+    Logger.info(`Context: ${context.fullFiles.length} file(s) in full, ${context.mapOnlyFiles.length} in the code map only (~${context.tokens} tokens)`, true);
+  }
+  return context.text;
+}
+
+/**
+ * Call the Coder and resolve its file changes against the current files
+ * Diffs or edit blocks that do not apply are sent back to the Coder with the
+ * current file content for a corrected response.
+ * @returns {Promise<Array<{path: string, content: string, existed: boolean}>>}
+ */
+async function requestCoderChanges(projectState, prompt) {
+  const maxRetries = projectState.getConfig().validation?.maxPatchRetries ?? CODER_PATCH_MAX_RETRIES;
+  let coderResult = await callAgent(prompt, 'Coder', 'coder', projectState);
+  
+  for (let attempt = 1; ; attempt++) {
+    const files = filterSafeFiles(projectState, parseCoderFiles(coderResult), 'Coder');
+    const { changes, errors } = resolveFileChanges(
+      projectState.projectPath,
+      files,
+      path => projectState.proposal?.getContent(path)
+    );
+    
+    if (errors.length === 0) {
+      return changes;
+    }
+    
+    errors.forEach(error => Logger.warning(`Patch rejected - ${error.message.split('\n')[0]}`, true));
+    projectState.appendLog({
+      action: 'PATCH_REJECTED',
+      attempt,
+      errors: errors.map(e => e.message)
+    });
+    
+    if (attempt > maxRetries) {
+      throw new Error(`Coder changes could not be applied: ${errors.map(e => e.message.split('\n')[0]).join('; ')}`);
+    }
+    
+    Logger.info(`Asking Coder to resend changes (attempt ${attempt}/${maxRetries})...`, true);
+    coderResult = await callAgent(buildPatchRetryPrompt(projectState.projectPath, prompt, errors), 'Coder', 'coder', projectState);
+  }
+}
+
+/**
+ * Request Coder changes and, in interactive mode, let the user review each file
+ * A retry sends the user's feedback back to the Coder for a new response.
+ */
+async function requestApprovedChanges(projectState, prompt, state) {
+  let currentPrompt = prompt;
+  
+  for (;;) {
+    const changes = await requestCoderChanges(projectState, currentPrompt);
+    if (!state.interactive) {
+      return changes;
+    }
+    
+    const { approved, retry } = await reviewFileChanges(projectState, changes);
+    if (!retry) {
+      return approved;
+    }
+    
+    Logger.info('Asking Coder for another attempt...', true);
+    currentPrompt = `${prompt}
+
+IMPORTANT: The reviewer rejected your previous change to ${retry.path}.
+${retry.feedback ? `Reviewer feedback: ${retry.feedback}\n` : ''}Send a new complete JSON response for this task.`;
+  }
+}
+
+/**
+ * Extract file entries (content, diff or edits) from a Coder response
+ */
+function parseCoderFiles(coderResult) {
   const coderJson = parseAgentResponse(coderResult, 'Coder');
-  let codeFiles = [];
   
   if (coderJson && coderJson.files) {
-    codeFiles = coderJson.files.map(f => ({
-      path: f.path,
-      content: f.content
-    }));
-  } else {
-    codeFiles = parseFileContent(coderResult);
+    return coderJson.files;
   }
   
-  for (const file of codeFiles) {
-    const filePath = join(projectState.projectPath, file.path);
-    ensureDir(filePath);
-    writeFileSync(filePath, file.content);
-    Logger.file('Fixed', file.path);
-    projectState.appendTextLog(`  Fixed: ${file.path}`);
+  // Fallback to text parsing
+  return parseFileContent(coderResult);
+}
+
+/**
+ * Build the follow-up prompt for changes that did not apply
+ */
+function buildPatchRetryPrompt(projectPath, originalPrompt, errors) {
+  const currentFiles = [...new Set(errors.map(e => e.path))]
+    .filter(path => existsSync(join(projectPath, path)))
+    .map(path => `File: ${path}\n${readFileSync(join(projectPath, path), 'utf8')}`)
+    .join('\n\n---\n\n');
+  
+  return `${originalPrompt}
+
+IMPORTANT: Your previous response could not be applied:
+${errors.map(e => `- ${e.message}`).join('\n')}
+
+Current content of the affected files:
+${currentFiles || '(files do not exist yet - send full content)'}
+
+Resend the complete JSON response. For the files above, copy search text and diff context exactly from the current content, or send the full file content.`;
+}
+
+/**
+ * Write resolved Coder changes to disk (or to the proposal in a dry run)
+ */
+function applyCoderChanges(projectState, changes, verb = null) {
+  const writtenPaths = [];
+  for (const change of changes) {
+    const { written, proposed, relativePath } = safeWriteFile(projectState, change.path, change.content, 'Coder');
+    if (!written) continue;
+    
+    const action = proposed ? 'Proposed' : verb || (change.existed ? 'Updated' : 'Created');
+    Logger.file(action, relativePath);
+    projectState.appendTextLog(`  ${action}: ${relativePath}`);
+    writtenPaths.push(relativePath);
   }
   
-  Logger.success('Fixes applied!');
-  console.log(''); // Empty line // Empty line
+  // Re-index the written files so the next prompt sees their symbols
+  if (writtenPaths.length > 0) {
+    refreshCodeMap(projectState, writtenPaths);
+  }
 }
 
 /**
  * Create and run tests
+ * Failing tests go through the automatic fix loop before giving up; passing
+ * backlog work is merged into the base branch, and the backlog is completed
+ * once it is merged.
+ * @returns {Promise<{passed: boolean, output: string, unverified?: string[], mergeFailed?: boolean}>}
+ *   Result of the last test run; passed is false when the backlog branch could not be merged
  */
 export async function runTests(projectState, projectPath, requirement, state) {
+  const result = await verifyWithTests(projectState, projectPath, requirement, state);
+  
+  if (result.passed) {
+    // Tested backlog work goes back to the base branch
+    if (await mergeBacklogBranch(projectState) === false) {
+      Logger.warning(`Backlog #${state.backlog?.id ?? projectState.activeContext.backlogId} stays in progress until its branch is merged`);
+      return { ...result, passed: false, mergeFailed: true };
+    }
+    if (state.backlog) {
+      completeBacklog(projectState, state.backlog);
+    }
+  } else if (result.unverified) {
+    Logger.info(`Tip: Run "npm run process-backlog ${state.backlog.id}" to write tests for the unverified criteria`);
+  } else {
+    Logger.info('Tip: Run "npm run fix-tests" to automatically fix the failing tests');
+  }
+  
+  return result;
+}
+
+/**
+ * Start the project's server and keep the process alive until Ctrl+C
+ */
+export async function serveProject(projectPath) {
+  try {
+    Logger.section('Starting server...', '🌐');
+    exec('npm start', {
+      cwd: projectPath,
+      detached: false
+    });
+    
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    Logger.success('Project ready!');
+    Logger.info('URL: http://localhost:3000', true);
+    Logger.info('Press Ctrl+C to stop the server', true);
+    console.log(''); // Empty line
+    
+    // Keep process alive
+    await new Promise(() => {});
+  } catch {
+    Logger.success('Project completed successfully!');
+  }
+}
+
+/**
+ * Create tests if needed, run them and send failures through the fix loop
+ * When a backlog is being built (state.backlog), its acceptance criteria are
+ * then verified; it only passes if every criterion is. Completing the backlog
+ * is left to the caller, after its branch is merged (completeBacklog).
+ * @returns {Promise<{passed: boolean, output: string, unverified?: string[]}>} Result of the last test run;
+ *   unverified lists the criteria that failed a backlog with passing tests
+ */
+export async function verifyWithTests(projectState, projectPath, requirement, state) {
   // Create tests if they don't exist
   const testFile = join(projectPath, 'plan-build-test/test/e2e.test.js');
   
@@ -580,20 +902,37 @@ export async function runTests(projectState, projectPath, requirement, state) {
     
     projectState.appendTextLog(`\nTester creating validation tests...`);
     
-    // Get all implementation files so Tester can see what was built
-    const implementationFiles = getAllProjectFilesWithContent(projectPath).join('\n');
-    
-    const testResult = await callClaudeWrapper(
-      PROMPTS.finalTest(requirement, projectPath, state.architectPlan, implementationFiles), 
-      'Tester',
-      projectState
+    // Get the implementation files so Tester can see what was built
+    const implementationFiles = formatProjectFiles(
+      projectState,
+      [requirement, ...state.tasks.map(task => task.description)].join('\n')
     );
     
+    const criteria = state.backlog?.acceptance_criteria || [];
+    const testPrompt = PROMPTS.finalTest(requirement, projectPath, state.architectPlan, implementationFiles, criteria);
+    let testResult = await callAgent(testPrompt, 'Tester', 'tester', projectState);
+    
     // Parse test files
-    const testJson = parseAgentResponse(testResult, 'Tester');
+    let testJson = parseAgentResponse(testResult, 'Tester');
+    
+    // Every acceptance criterion needs a test; ask once more for the missing ones
+    const untested = mapCriteriaToTests(criteria, testJson?.test_file?.test_cases).filter(m => m.tests.length === 0);
+    if (testJson?.test_file && untested.length > 0) {
+      Logger.warning(`No test covers ${untested.length} acceptance criteria; asking the Tester again`);
+      const missing = untested.map(m => `${criteria.indexOf(m.criterion) + 1}. ${m.criterion}`).join('\n');
+      testResult = await callAgent(
+        `${testPrompt}\n\nYour previous answer had no test for these acceptance criteria. Reply with the complete test file again, covering them too:\n${missing}`,
+        'Tester',
+        'tester',
+        projectState
+      );
+      testJson = parseAgentResponse(testResult, 'Tester');
+    }
+    
     let testFiles = [];
     
     if (testJson && testJson.test_file) {
+      state.criteriaTests = mapCriteriaToTests(criteria, testJson.test_file.test_cases);
       testFiles = [{
         path: testJson.test_file.path,
         content: testJson.test_file.content
@@ -612,10 +951,10 @@ export async function runTests(projectState, projectPath, requirement, state) {
     
     // Create test files
     for (const file of testFiles) {
-      const filePath = join(projectPath, file.path);
-      ensureDir(filePath);
-      writeFileSync(filePath, file.content);
-      Logger.file('Created', file.path);
+      const { written, relativePath } = safeWriteFile(projectState, file.path, file.content, 'Tester');
+      if (written) {
+        Logger.file('Created', relativePath);
+      }
     }
     
     // Ensure package.json and playwright.config.js exist
@@ -631,26 +970,92 @@ export async function runTests(projectState, projectPath, requirement, state) {
     throw error;
   }
   
-  // Run tests
+  let result = await executeTests(projectState, projectPath);
+  
+  if (!result.passed) {
+    result = await runFixLoop(projectState, requirement, state, result, 'backlog');
+  }
+  
+  if (state.backlog && !state.budgetExceeded) {
+    result = verifyBacklogCriteria(projectState, state, result);
+  }
+  
+  return result;
+}
+
+/**
+ * Verify the acceptance criteria of the backlog being built against the last
+ * test run and store each criterion's status on the backlog (criteria_status)
+ * @returns {{passed: boolean, output: string, unverified?: string[]}} passed only if every criterion is verified
+ */
+function verifyBacklogCriteria(projectState, state, result) {
+  const backlog = projectState.getBacklogsData()?.backlogs.find(b => b.id === state.backlog.id) || state.backlog;
+  // Without new tests, the tests mapped in an earlier attempt still count
+  const statuses = verifyCriteria(state.criteriaTests || restoreCriteriaTests(backlog), result);
+  const unverified = statuses.filter(s => s.status !== 'verified').map(s => s.criterion);
+  
+  if (statuses.length > 0) {
+    Logger.section(`Acceptance criteria: ${summarizeCriteria(statuses)}`, '🎯');
+    formatCriteriaStatus(statuses).forEach(line => Logger.command(line));
+    console.log(''); // Empty line
+  }
+  
+  projectState.appendLog({
+    action: 'CRITERIA_VERIFIED',
+    backlogId: backlog.id,
+    testsPassed: result.passed,
+    criteria: statuses
+  });
+  
+  projectState.updateBacklogStatus(backlog.id, backlog.status, { criteria_status: statuses });
+  
+  if (result.passed && unverified.length > 0) {
+    Logger.warning(`Backlog #${backlog.id} stays in progress: ${unverified.length} acceptance criteria not verified`);
+    return { ...result, passed: false, unverified };
+  }
+  return result;
+}
+
+/**
+ * Mark a backlog completed once its tested work is on the base branch
+ * @param {Object} backlog - Backlog as it was when work on it started
+ */
+export function completeBacklog(projectState, backlog) {
+  projectState.updateBacklogStatus(backlog.id, 'completed', {
+    completed_at: new Date().toISOString()
+  });
+  
+  Logger.success(`Backlog #${backlog.id} completed!`);
+  
+  projectState.appendLog({
+    action: 'BACKLOG_COMPLETED',
+    backlog
+  });
+}
+
+/**
+ * Run the project's tests once and log the outcome
+ * @returns {Promise<{passed: boolean, output: string}>}
+ */
+async function executeTests(projectState, projectPath) {
   Logger.section('Running tests...', '🧪');
   
-  // Kill any existing server on port 3000 first
-  await killPort(3000, projectPath);
+  // Kill any existing server on the project's port first
+  await killPort(projectState.serverPort, projectPath);
   
-  let testOutput = '';
   try {
     const { stdout, stderr } = await execAsync('npm test', {
       cwd: projectPath,
-      env: { ...process.env, CI: 'true' },
-      timeout: 120000
+      env: { ...process.env, CI: 'true', PORT: String(projectState.serverPort) },
+      timeout: TEST_TIMEOUT
     });
     
-    testOutput = stdout + '\n' + stderr;
+    const output = stdout + '\n' + stderr;
     console.log(stdout); // Show test output
     if (stderr) console.error(stderr);
     
     // Log the test output for future use
-    projectState.appendTextLog('\nRunning tests...\n' + testOutput);
+    projectState.appendTextLog('\nRunning tests...\n' + output);
     
     projectState.appendLog({
       action: 'TESTS_PASSED',
@@ -658,48 +1063,132 @@ export async function runTests(projectState, projectPath, requirement, state) {
     });
     
     Logger.success('All tests passed!');
-    
-    // Try to start server
-    try {
-      Logger.section('Starting server...', '🌐');
-      const serverProcess = exec('npm start', {
-        cwd: projectPath,
-        detached: false
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      Logger.success('Project ready!');
-      Logger.info('URL: http://localhost:3000', true);
-      Logger.info('Press Ctrl+C to stop the server', true);
-      console.log(''); // Empty line
-      
-      // Keep process alive
-      await new Promise(() => {});
-    } catch {
-      Logger.success('Project completed successfully!');
-    }
+    return { passed: true, output };
     
   } catch (error) {
     // Tests failed, capture the output
-    testOutput = (error.stdout || '') + '\n' + (error.stderr || '');
+    const output = (error.stdout || '') + '\n' + (error.stderr || '');
     
     console.error('\n❌ Tests failed!');
     console.log(error.stdout || error.message); // Show error output
     if (error.stderr) console.error(error.stderr);
     
     // Log the test output for future use (for fix-tests command)
-    projectState.appendTextLog('\nRunning tests...\n' + testOutput);
+    projectState.appendTextLog('\nRunning tests...\n' + output);
     
     projectState.appendLog({
       action: 'TESTS_FAILED',
       error: error.message,
-      output: testOutput
+      output
     });
     
-    Logger.info('Tip: Run "npm run fix-tests" to automatically fix the failing tests');
+    return { passed: false, output };
+  }
+}
+
+/**
+ * Read the fix loop settings (plan-build-test/config.json "fixLoop")
+ * @returns {{enabled: boolean, maxIterations: number, mode: string}}
+ */
+function getFixLoopSettings(projectState) {
+  const settings = projectState.getConfig().fixLoop || {};
+  return {
+    enabled: settings.enabled !== false,
+    maxIterations: settings.maxIterations ?? FIX_LOOP_MAX_ITERATIONS,
+    mode: settings.mode || FIX_LOOP_MODE
+  };
+}
+
+/**
+ * Feed failing test output back to the Coder and re-run tests until they pass
+ * Each iteration is logged as a FIX_ATTEMPT entry.
+ * @param {Object} testResult - Failing result from executeTests
+ * @param {string} scope - 'task' or 'backlog'
+ * @returns {Promise<{passed: boolean, output: string}>} Result of the last test run
+ */
+async function runFixLoop(projectState, requirement, state, testResult, scope) {
+  const { enabled, maxIterations } = getFixLoopSettings(projectState);
+  if (!enabled || maxIterations <= 0) {
+    return testResult;
+  }
+  
+  let result = testResult;
+  const attempt = (iteration, filesModified, passed) => ({
+    action: 'FIX_ATTEMPT',
+    taskNumber: scope === 'task' ? projectState.activeContext.taskNumber : null,
+    backlogId: projectState.activeContext.backlogId ?? null,
+    scope,
+    iteration,
+    maxIterations,
+    filesModified,
+    passed
+  });
+  
+  for (let iteration = 1; iteration <= maxIterations && !result.passed; iteration++) {
+    try {
+      enforceBudget(projectState);
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      reportBudgetExceeded(projectState, error);
+      state.budgetExceeded = error.exceeded;
+      return result;
+    }
+    
+    Logger.section(`Fix attempt ${iteration}/${maxIterations}: sending test failures to Coder...`, '🔁');
+    projectState.appendTaskLog('FIX', `Attempt ${iteration}/${maxIterations} (${scope})`);
     
-    process.exit(1);
+    const output = result.output.length > FIX_LOOP_MAX_OUTPUT
+      ? `...\n${result.output.slice(-FIX_LOOP_MAX_OUTPUT)}`
+      : result.output;
+    
+    let filesModified = [];
+    try {
+      const codeFiles = await requestApprovedChanges(
+        projectState,
+        PROMPTS.coder(
+          requirement,
+          `The tests are failing. Fix the implementation so they pass. Only change a test if it contradicts the requirement.\n\nTest output:\n${output}`,
+          formatProjectFiles(projectState, `${requirement}\n${output}`)
+        ),
+        state
+      );
+      applyCoderChanges(projectState, codeFiles, 'Fixed');
+      filesModified = codeFiles.map(f => f.path);
+      
+      result = await executeTests(projectState, projectState.projectPath);
+    } catch (error) {
+      Logger.error(`Fix attempt ${iteration} failed: ${error.message}`, true);
+      projectState.appendLog({ ...attempt(iteration, filesModified, false), error: error.message });
+      continue;
+    }
+    
+    projectState.appendLog(attempt(iteration, filesModified, result.passed));
+  }
+  
+  if (!result.passed) {
+    Logger.warning(`Tests still failing after ${maxIterations} fix attempt(s)`);
+  }
+  
+  return result;
+}
+
+/**
+ * Per-task test check (fixLoop.mode "task"): run existing tests after a task
+ * and fix regressions before moving on. Skipped until the project has tests.
+ */
+async function checkTaskWithTests(projectState, requirement, state) {
+  const { enabled, mode } = getFixLoopSettings(projectState);
+  const testDir = join(projectState.projectPath, 'test');
+  
+  if (!enabled || mode !== 'task' || projectState.isDryRun()) return;
+  if (!existsSync(testDir) || !readdirSync(testDir).some(f => f.endsWith('.test.js'))) return;
+  
+  await npmInstall(projectState.projectPath);
+  const initial = await executeTests(projectState, projectState.projectPath);
+  const result = initial.passed ? initial : await runFixLoop(projectState, requirement, state, initial, 'task');
+  
+  if (!result.passed && !state.budgetExceeded) {
+    throw new Error('Tests still failing after fix attempts');
   }
 }
 
@@ -0,0 +1,180 @@
+/**
+ * Apply Coder file changes: full content, unified diffs or search/replace edits
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Error raised when a change cannot be applied to the current file
+ */
+export class PatchError extends Error {
+  constructor(path, message) {
+    super(`${path}: ${message}`);
+    this.name = 'PatchError';
+    this.path = path;
+  }
+}
+
+/**
+ * Parse the hunks of a unified diff
+ * @param {string} diff - Unified diff text (file headers optional)
+ * @returns {Array<{oldStart: number, lines: string[]}>}
+ */
+export function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let current = null;
+  
+  for (const line of diff.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    
+    if (header) {
+      current = { oldStart: parseInt(header[1]), lines: [] };
+      hunks.push(current);
+    } else if (current && /^[ +-]/.test(line)) {
+      // Inside a hunk "---"/"+++" are lines starting with "--"/"++", not file headers
+      current.lines.push(line);
+    } else if (current && line === '') {
+      // Some models drop the leading space on empty context lines
+      current.lines.push(' ');
+    }
+  }
+  
+  return hunks;
+}
+
+function findBlock(lines, block, expectedIndex) {
+  const matchesAt = index => block.every((line, i) => lines[index + i] === line);
+  
+  const lastStart = lines.length - block.length;
+  const start = Math.min(Math.max(expectedIndex, 0), Math.max(lastStart, 0));
+  if (matchesAt(start)) return start;
+  
+  // Hunk line numbers drift easily - search outward from the expected position
+  for (let offset = 1; offset <= lines.length; offset++) {
+    if (start + offset <= lastStart && matchesAt(start + offset)) {
+      return start + offset;
+    }
+    if (start - offset >= 0 && matchesAt(start - offset)) {
+      return start - offset;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Apply a unified diff to file content, validating every hunk
+ * @param {string} original - Current file content
+ * @param {string} diff - Unified diff
+ * @param {string} path - File path (for error messages)
+ * @returns {string} Patched content
+ */
+export function applyUnifiedDiff(original, diff, path) {
+  const hunks = parseUnifiedDiff(diff);
+  if (hunks.length === 0) {
+    throw new PatchError(path, 'diff contains no hunks');
+  }
+  
+  let lines = original.split('\n');
+  let shift = 0;
+  
+  hunks.forEach((hunk, hunkIndex) => {
+    const oldLines = hunk.lines.filter(l => !l.startsWith('+')).map(l => l.substring(1));
+    const newLines = hunk.lines.filter(l => !l.startsWith('-')).map(l => l.substring(1));
+    
+    // A pure insertion (@@ -N,0) goes after old line N; other hunks start at line N
+    const expected = oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const index = oldLines.length === 0
+      ? Math.max(0, expected + shift)
+      : findBlock(lines, oldLines, expected + shift);
+    
+    if (index === -1) {
+      throw new PatchError(path, `hunk ${hunkIndex + 1} (@@ -${hunk.oldStart}) does not match the current file:\n${oldLines.slice(0, 5).join('\n')}`);
+    }
+    
+    lines = [...lines.slice(0, index), ...newLines, ...lines.slice(index + oldLines.length)];
+    shift = index + newLines.length - (expected + oldLines.length);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Apply search/replace edit blocks; each search text must match exactly once
+ * @param {string} original - Current file content
+ * @param {Array<{search: string, replace: string}>} edits - Edit blocks
+ * @param {string} path - File path (for error messages)
+ * @returns {string} Edited content
+ */
+export function applySearchReplace(original, edits, path) {
+  return edits.reduce((content, edit, i) => {
+    if (!edit.search) {
+      throw new PatchError(path, `edit ${i + 1} has an empty search block`);
+    }
+    
+    const occurrences = content.split(edit.search).length - 1;
+    if (occurrences === 0) {
+      throw new PatchError(path, `edit ${i + 1} search text not found:\n${edit.search.substring(0, 200)}`);
+    }
+    if (occurrences > 1) {
+      throw new PatchError(path, `edit ${i + 1} search text matches ${occurrences} places; include more context`);
+    }
+    
+    return content.replace(edit.search, () => edit.replace ?? '');
+  }, original);
+}
+
+/**
+ * Compute the new content of a file from a Coder file entry
+ * @param {string} projectPath - Project root
+ * @param {Object} file - { path, action, content | diff | edits }
+ * @param {Function} [readPending] - Returns not-yet-written content for a path (dry run)
+ * @returns {{path: string, content: string, existed: boolean}}
+ */
+export function resolveFileChange(projectPath, file, readPending = () => undefined) {
+  const fullPath = join(projectPath, file.path);
+  const pending = readPending(file.path);
+  const existed = pending !== undefined || existsSync(fullPath);
+  
+  if (file.diff === undefined && file.edits === undefined) {
+    if (typeof file.content !== 'string') {
+      throw new PatchError(file.path, 'no content, diff or edits provided');
+    }
+    return { path: file.path, content: file.content, existed };
+  }
+  
+  if (!existed) {
+    throw new PatchError(file.path, 'cannot patch a file that does not exist - send full content for new files');
+  }
+  
+  const original = pending ?? readFileSync(fullPath, 'utf8');
+  const content = file.diff !== undefined
+    ? applyUnifiedDiff(original, file.diff, file.path)
+    : applySearchReplace(original, file.edits, file.path);
+  
+  return { path: file.path, content, existed };
+}
+
+/**
+ * Resolve every file entry, collecting failures instead of stopping at the first
+ * @param {string} projectPath - Project root
+ * @param {Array} files - Coder file entries
+ * @param {Function} [readPending] - Returns not-yet-written content for a path (dry run)
+ * @returns {{changes: Array, errors: PatchError[]}}
+ */
+export function resolveFileChanges(projectPath, files, readPending) {
+  const changes = [];
+  const errors = [];
+  
+  for (const file of files) {
+    try {
+      changes.push(resolveFileChange(projectPath, file, readPending));
+    } catch (error) {
+      if (!(error instanceof PatchError)) throw error;
+      errors.push(error);
+    }
+  }
+  
+  return { changes, errors };
+}
@@ -2,6 +2,7 @@ import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
 import { join } from 'path';
 import { CURRENT_PROJECT_FILE, PROJECTS_DIR } from './config.js';
 import { getProjectPath } from './file-utils.js';
+import { summarizeUsage } from './usage-tracker.js';
 
 /**
  * Get the current active project name
@@ -111,6 +112,16 @@ export function getProjectStatus(projectPath) {
         if (entry.requirement) requirements.add(entry.requirement);
       } else if (entry.action === 'COMPLETE_TASK' && taskMap.has(entry.taskNumber)) {
         taskMap.get(entry.taskNumber).status = 'completed';
+      } else if (entry.action === 'ROLLBACK') {
+        entry.revertedTasks.forEach(number => {
+          if (taskMap.has(number)) taskMap.get(number).status = 'pending';
+        });
+      } else if (entry.action === 'TASKS_EDITED') {
+        // Tasks deleted during interactive review are not part of the plan
+        entry.removedTaskNumbers.forEach(number => taskMap.delete(number));
+        entry.tasks.forEach(task => {
+          if (taskMap.has(task.taskNumber)) taskMap.get(task.taskNumber).description = task.description;
+        });
       }
     });
     
@@ -123,7 +134,8 @@ export function getProjectStatus(projectPath) {
       totalTasks: tasks.length,
       completedTasks: completedTasks.length,
       requirements: Array.from(requirements),
-      tasks: tasks
+      tasks: tasks,
+      usage: summarizeUsage(logs)
     };
   } catch (error) {
     return {
@@ -1,19 +1,52 @@
 import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { existsSync, readFileSync, mkdirSync, writeFileSync } from 'fs';
 import { readJsonFile, writeJsonFile, appendTextLog as appendTextLogUtil } from './file-utils.js';
+import { Proposal, IMMEDIATE_LOG_ACTIONS } from './proposals.js';
+import { applyTaskEdits } from './task-manager.js';
+import { validateBacklogGraph } from './backlog-graph.js';
+import { DEFAULT_PORT, PROJECT_CONFIG_FILENAME } from './config.js';
+
+// Context for work started inside runWithContext (e.g. tasks built in parallel)
+const scopedContext = new AsyncLocalStorage();
+
+// Next unused backlog id: past every current id and every id handed out before
+function nextBacklogId(data) {
+  return Math.max(data.next_id || 1, ...data.backlogs.map(b => b.id + 1));
+}
 
 /**
  * Project state management class
  * Handles all project-specific state, logging, and task tracking
  */
 export class ProjectState {
-  constructor(projectPath) {
-    this.projectPath = projectPath;
+  /**
+   * @param {string} projectPath - Project folder
+   * @param {Object} options
+   * @param {string} options.worktreePath - Git worktree to build in; logs, config and backlogs stay in projectPath
+   * @param {number} options.serverPort - Port the project's server uses while testing
+   */
+  constructor(projectPath, { worktreePath = null, serverPort = DEFAULT_PORT } = {}) {
+    // Code is read and written here
+    this.projectPath = worktreePath || projectPath;
+    this.mainProjectPath = projectPath;
+    this.serverPort = serverPort;
     this.planBuildTestDir = join(projectPath, 'plan-build-test');
     this.logFile = join(this.planBuildTestDir, 'logs.json');
     this.textLogFile = join(this.planBuildTestDir, 'log.txt');
     this.taskLogFile = join(this.planBuildTestDir, 'task-log.txt');
+    this.configFile = join(this.planBuildTestDir, PROJECT_CONFIG_FILENAME);
     this.currentTaskNumber = 0;
+    // Backlog/task being worked on, attached to AGENT_CALL usage entries
+    this.baseContext = {};
+    // Identifies this orchestrator run (one command invocation)
+    this.sessionId = randomUUID();
+    this.sessionStartedAt = Date.now();
+    // Set in dry-run mode: writes and history changes are captured instead of applied
+    this.proposal = null;
+    // Last exclusion report written to log.txt, so repeated scans don't repeat it
+    this.excludedFilesReport = null;
     
     // Ensure plan-build-test directory exists
     if (!existsSync(this.planBuildTestDir)) {
@@ -41,10 +74,32 @@ export class ProjectState {
     }
   }
 
+  /**
+   * State for building in a git worktree of this project
+   * The worktree state shares this session, logs, config and backlogs.
+   * @param {string} worktreePath - Worktree directory
+   * @param {number} serverPort - Port for the worktree's test server
+   * @returns {ProjectState}
+   */
+  forWorktree(worktreePath, serverPort) {
+    const state = new ProjectState(this.mainProjectPath, { worktreePath, serverPort });
+    state.sessionId = this.sessionId;
+    state.sessionStartedAt = this.sessionStartedAt;
+    return state;
+  }
+
   exists() {
     return existsSync(this.projectPath) && existsSync(this.planBuildTestDir);
   }
 
+  /**
+   * Read the project config (plan-build-test/config.json)
+   * @returns {Object} Project config, or an empty object if none exists
+   */
+  getConfig() {
+    return readJsonFile(this.configFile) || {};
+  }
+
   // Get all requirements from logs
   getAllRequirements() {
     if (!existsSync(this.logFile)) return [];
@@ -82,15 +137,26 @@ export class ProjectState {
             taskNumber: entry.taskNumber,
             description: entry.description,
             test: entry.testCommand || 'verify manually',
+            dependsOn: entry.dependsOn || [],
+            files: entry.files || [],
             status: 'pending',
             requirement: requirement
           });
         } else if (entry.action === 'COMPLETE_TASK' && taskMap.has(entry.taskNumber)) {
           taskMap.get(entry.taskNumber).status = 'completed';
+        } else if (entry.action === 'ROLLBACK') {
+          entry.revertedTasks.forEach(number => {
+            if (taskMap.has(number)) taskMap.get(number).status = 'pending';
+          });
         }
       });
       
-      return Array.from(taskMap.values()).sort((a, b) => a.taskNumber - b.taskNumber);
+      const created = Array.from(taskMap.values()).sort((a, b) => a.taskNumber - b.taskNumber);
+      
+      // Honor the latest interactive review of this requirement's tasks
+      const editEntry = log.filter(e => e.action === 'TASKS_EDITED' && e.requirement === requirement).pop();
+      const completed = new Set(created.filter(t => t.status === 'completed').map(t => t.taskNumber));
+      return applyTaskEdits(created, editEntry, completed);
     } catch (e) {
       return [];
     }
@@ -122,23 +188,108 @@ export class ProjectState {
   }
 
   appendLog(entry) {
-    let log = readJsonFile(this.logFile) || [];
-    
-    log.push({
+    const fullEntry = {
       timestamp: new Date().toISOString(),
       taskNumber: this.currentTaskNumber || null,
       ...entry
-    });
+    };
     
+    // Dry run: project history is only written if the proposal is applied
+    if (this.proposal && !IMMEDIATE_LOG_ACTIONS.includes(entry.action)) {
+      this.proposal.deferLog(fullEntry);
+      return;
+    }
+    
+    let log = readJsonFile(this.logFile) || [];
+    log.push(fullEntry);
     writeJsonFile(this.logFile, log);
   }
 
+  /**
+   * Switch to dry-run mode for the rest of this run
+   * @param {string} command - Command being previewed
+   * @param {string} requirement - Requirement it was run with
+   */
+  startProposal(command, requirement) {
+    this.proposal = new Proposal(command, requirement);
+  }
+
+  isDryRun() {
+    return this.proposal !== null;
+  }
+  
+  /**
+   * Backlog/task currently being worked on
+   * Fields set with runWithContext take precedence inside the work it runs.
+   */
+  get activeContext() {
+    return { ...this.baseContext, ...scopedContext.getStore() };
+  }
+  
+  /**
+   * Set the backlog/task currently being worked on
+   * @param {Object} context - Fields such as backlogId or taskNumber
+   */
+  setActiveContext(context) {
+    this.baseContext = { ...this.baseContext, ...context };
+  }
+
+  /**
+   * Clear fields from the active context
+   * @param {string[]} keys - Fields to clear
+   */
+  clearActiveContext(keys) {
+    keys.forEach(key => delete this.baseContext[key]);
+  }
+  
+  /**
+   * Run async work with extra active context
+   * Concurrent tasks each see their own fields, so agent calls are attributed correctly.
+   * @param {Object} context - Fields such as taskNumber
+   * @param {Function} fn - Work to run
+   * @returns {*} The result of fn
+   */
+  runWithContext(context, fn) {
+    return scopedContext.run({ ...scopedContext.getStore(), ...context }, fn);
+  }
+  
+  /**
+   * Commit trailers for work done in this session
+   * @param {string} agentRole - Role that produced the commit (e.g. Coder, Tester, Orchestrator)
+   * @param {Object} fields - Overrides for backlogId or taskNumbers
+   * @returns {Object} Metadata for the git-utils commit helpers
+   */
+  getCommitMetadata(agentRole, fields = {}) {
+    const { backlogId, taskNumber } = this.activeContext;
+    return {
+      backlogId: backlogId ?? null,
+      taskNumbers: taskNumber ? [taskNumber] : [],
+      agentRole,
+      sessionId: this.sessionId,
+      ...fields
+    };
+  }
+
+  /**
+   * Record which files were left out of agent prompts
+   * Only written to log.txt when the list changes during this session.
+   * @param {Array<{path: string, reason: string}>} excluded - Files from scanProjectFiles
+   */
+  reportExcludedFiles(excluded) {
+    const report = excluded.map(e => `  ${e.path} (${e.reason})`).join('\n');
+    if (excluded.length === 0 || report === this.excludedFilesReport) return;
+    
+    this.excludedFilesReport = report;
+    this.appendTextLog(`Excluded ${excluded.length} file(s) from agent context:\n${report}`);
+  }
+
   getLog() {
     return readJsonFile(this.logFile) || [];
   }
 
   getLogSummary() {
-    const log = this.getLog();
+    // Usage entries are bookkeeping, not project history
+    const log = this.getLog().filter(entry => entry.action !== 'AGENT_CALL');
     return log.map(entry => 
       `[${entry.timestamp}] ${entry.action}: ${entry.details}`
     ).join('\n');
@@ -189,7 +340,7 @@ export class ProjectState {
    * @returns {string} Path to backlogs file
    */
   getBacklogsFilePath() {
-    return join(this.projectPath, 'backlogs.json');
+    return join(this.mainProjectPath, 'backlogs.json');
   }
   
   /**
@@ -211,9 +362,16 @@ export class ProjectState {
   
   /**
    * Save backlogs data to file
+   * The dependency graph is validated first (problems already in the file are
+   * tolerated so they can be fixed one at a time), and next_id is kept past
+   * every id ever used so ids of deleted backlogs are never handed out again.
    * @param {Object} data - Backlogs data to save
+   * @throws {BacklogGraphError} If the save adds unknown, self-referencing or circular dependencies
    */
   saveBacklogsData(data) {
+    validateBacklogGraph(data.backlogs, this.getBacklogsData()?.backlogs);
+    data.next_id = nextBacklogId(data);
+    
     const backlogsFile = this.getBacklogsFilePath();
     writeFileSync(backlogsFile, JSON.stringify(data, null, 2));
   }
@@ -226,6 +384,11 @@ export class ProjectState {
    * @returns {boolean} True if updated, false if not found
    */
   updateBacklogStatus(backlogId, status, additionalFields = {}) {
+    if (this.proposal) {
+      this.proposal.deferBacklogUpdate(backlogId, status, additionalFields);
+      return true;
+    }
+    
     const data = this.getBacklogsData();
     if (!data) return false;
     
@@ -241,13 +404,14 @@ export class ProjectState {
   
   /**
    * Add a new backlog to the project
+   * It gets the next unused id (next_id), never the id of a deleted backlog.
    * @param {Object} backlog - Backlog data (description, etc.)
    * @returns {Object} The created backlog with ID and metadata
    */
   addBacklog(backlog) {
     let data = this.getBacklogsData() || { backlogs: [] };
     const newBacklog = {
-      id: data.backlogs.length + 1,
+      id: nextBacklogId(data),
       status: 'pending',
       created_at: new Date().toISOString(),
       ...backlog
@@ -256,4 +420,138 @@ export class ProjectState {
     this.saveBacklogsData(data);
     return newBacklog;
   }
+  
+  /**
+   * Change fields of a backlog (title, description, priority, ...)
+   * @param {number} backlogId - ID of the backlog to update
+   * @param {Object} fields - Fields to set
+   * @returns {Object|null} The updated backlog, or null if not found
+   */
+  updateBacklog(backlogId, fields) {
+    const data = this.getBacklogsData();
+    const backlog = data?.backlogs.find(b => b.id === backlogId);
+    if (!backlog) return null;
+    
+    Object.assign(backlog, fields, { updated_at: new Date().toISOString() });
+    this.saveBacklogsData(data);
+    return backlog;
+  }
+  
+  /**
+   * Remove a backlog
+   * Backlogs that depend on it take over its dependencies instead.
+   * @param {number} backlogId - ID of the backlog to remove
+   * @returns {{backlog: Object, rewired: number[]}|null} Removed backlog and the IDs of rewired dependents, or null if not found
+   */
+  removeBacklog(backlogId) {
+    const data = this.getBacklogsData();
+    const backlog = data?.backlogs.find(b => b.id === backlogId);
+    if (!backlog) return null;
+    
+    const dependents = data.backlogs.filter(b => b.dependencies?.includes(backlogId));
+    dependents.forEach(b => {
+      b.dependencies = [...new Set(b.dependencies.flatMap(dep => dep === backlogId ? backlog.dependencies || [] : [dep]))]
+        .filter(dep => dep !== b.id);
+    });
+    
+    data.backlogs = data.backlogs.filter(b => b !== backlog);
+    this.saveBacklogsData(data);
+    return { backlog, rewired: dependents.map(b => b.id) };
+  }
+  
+  /**
+   * Move a backlog next to another one (pending backlogs are processed in list order)
+   * @param {number} backlogId - ID of the backlog to move
+   * @param {number} targetId - ID of the backlog to move next to
+   * @param {string} position - 'before' or 'after' the target
+   * @returns {{from: number, to: number}|null} Old and new list positions (1-based), or null if either backlog is missing
+   */
+  moveBacklog(backlogId, targetId, position = 'before') {
+    const data = this.getBacklogsData();
+    const from = data?.backlogs.findIndex(b => b.id === backlogId) ?? -1;
+    if (from < 0 || !data.backlogs.some(b => b.id === targetId)) return null;
+    
+    const [backlog] = data.backlogs.splice(from, 1);
+    const targetIndex = data.backlogs.findIndex(b => b.id === targetId);
+    const to = position === 'after' ? targetIndex + 1 : targetIndex;
+    data.backlogs.splice(to, 0, backlog);
+    
+    this.saveBacklogsData(data);
+    return { from: from + 1, to: to + 1 };
+  }
+  
+  /**
+   * Replace a backlog with smaller ones, in its place in the list
+   * A part's `parts` lists the earlier parts (1-based) it depends on. Backlogs
+   * that depended on the original depend on the parts no other part builds on.
+   * @param {number} backlogId - ID of the backlog to split
+   * @param {Object[]} parts - Fields of the new backlogs, in build order
+   * @returns {{parts: Object[], rewired: number[]}|null} Created backlogs and the IDs of rewired dependents, or null if not found
+   */
+  splitBacklog(backlogId, parts) {
+    const data = this.getBacklogsData();
+    const index = data?.backlogs.findIndex(b => b.id === backlogId) ?? -1;
+    if (index < 0) return null;
+    
+    const createdAt = new Date().toISOString();
+    let id = nextBacklogId(data);
+    const created = [];
+    parts.forEach(({ parts: earlier = [], ...fields }) => {
+      const partIds = earlier.filter(n => n >= 1 && n <= created.length).map(n => created[n - 1].id);
+      created.push({
+        id: id++,
+        status: 'pending',
+        created_at: createdAt,
+        ...fields,
+        dependencies: [...new Set([...(fields.dependencies || []), ...partIds])],
+        split_from: backlogId
+      });
+    });
+    data.next_id = id;
+    
+    const needed = new Set(created.flatMap(part => part.dependencies));
+    const leaves = created.filter(part => !needed.has(part.id)).map(part => part.id);
+    const dependents = data.backlogs.filter(b => b.dependencies?.includes(backlogId));
+    dependents.forEach(b => {
+      b.dependencies = [...new Set(b.dependencies.flatMap(dep => dep === backlogId ? leaves : [dep]))];
+    });
+    
+    data.backlogs.splice(index, 1, ...created);
+    this.saveBacklogsData(data);
+    return { parts: created, rewired: dependents.map(b => b.id) };
+  }
+  
+  /**
+   * Replace several backlogs with one, in the place of the first of them
+   * Backlogs that depended on any of them depend on the merged backlog.
+   * @param {number[]} backlogIds - IDs of the backlogs to merge
+   * @param {Object} fields - Fields of the merged backlog
+   * @returns {{backlog: Object, rewired: number[]}|null} Merged backlog and the IDs of rewired dependents, or null if any is missing
+   */
+  mergeBacklogs(backlogIds, fields) {
+    const data = this.getBacklogsData();
+    if (!data || !backlogIds.every(id => data.backlogs.some(b => b.id === id))) return null;
+    
+    const backlog = {
+      id: nextBacklogId(data),
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      ...fields,
+      merged_from: backlogIds
+    };
+    data.next_id = backlog.id + 1;
+    
+    const dependents = data.backlogs.filter(b =>
+      !backlogIds.includes(b.id) && b.dependencies?.some(dep => backlogIds.includes(dep))
+    );
+    dependents.forEach(b => {
+      b.dependencies = [...new Set(b.dependencies.map(dep => backlogIds.includes(dep) ? backlog.id : dep))];
+    });
+    
+    const index = data.backlogs.findIndex(b => backlogIds.includes(b.id));
+    data.backlogs = data.backlogs.filter(b => !backlogIds.includes(b.id));
+    data.backlogs.splice(index, 0, backlog);
+    this.saveBacklogsData(data);
+    return { backlog, rewired: dependents.map(b => b.id) };
+  }
 }
\ No newline at end of file
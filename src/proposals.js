@@ -0,0 +1,153 @@
+/**
+ * Dry-run proposals
+ * In dry-run mode agents still run, but file writes, log history and backlog
+ * status changes are captured in a proposal instead of touching the project.
+ * Proposals are saved to plan-build-test/proposals/<id>.json and can be
+ * applied later with apply-proposal.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { readJsonFile, writeJsonFile } from './file-utils.js';
+import { createUnifiedDiff, colorizeDiff } from './diff-utils.js';
+import { Logger } from './logger.js';
+import { PLAN_BUILD_TEST_DIR, PROPOSALS_DIRNAME } from './config.js';
+
+// Log entries written immediately even in dry-run (usage and audit records)
+export const IMMEDIATE_LOG_ACTIONS = [
+  'AGENT_CALL',
+  'BUDGET_EXCEEDED',
+  'SCHEMA_VALIDATION_FAILED',
+  'SCHEMA_REPAIRED',
+  'SCHEMA_REPAIR_FAILED',
+  'PATCH_REJECTED',
+  'SECURITY_WRITE_REJECTED',
+  'PROPOSAL_CREATED',
+  'PROPOSAL_APPLIED'
+];
+
+/**
+ * Changes captured during a dry run
+ */
+export class Proposal {
+  constructor(command, requirement) {
+    this.command = command;
+    this.requirement = requirement;
+    this.createdAt = new Date().toISOString();
+    // relativePath -> { before, after }
+    this.files = new Map();
+    this.logEntries = [];
+    this.backlogUpdates = [];
+  }
+  
+  /**
+   * Capture a file write
+   * @param {string} relativePath - Path relative to the project
+   * @param {string} fullPath - Absolute path on disk
+   * @param {string} content - Proposed content
+   */
+  recordWrite(relativePath, fullPath, content) {
+    const existing = this.files.get(relativePath);
+    const before = existing
+      ? existing.before
+      : (existsSync(fullPath) ? readFileSync(fullPath, 'utf8') : null);
+    this.files.set(relativePath, { before, after: content });
+  }
+  
+  /**
+   * Proposed content of a file, so later steps build on earlier proposed changes
+   * @param {string} relativePath - Path relative to the project
+   * @returns {string|undefined} Proposed content, or undefined if untouched
+   */
+  getContent(relativePath) {
+    return this.files.get(relativePath)?.after;
+  }
+  
+  deferLog(entry) {
+    this.logEntries.push(entry);
+  }
+  
+  deferBacklogUpdate(backlogId, status, fields) {
+    this.backlogUpdates.push({ backlogId, status, fields });
+  }
+  
+  isEmpty() {
+    return this.files.size === 0 && this.backlogUpdates.length === 0;
+  }
+  
+  toJSON() {
+    return {
+      command: this.command,
+      requirement: this.requirement,
+      created_at: this.createdAt,
+      status: 'pending',
+      files: [...this.files].map(([path, { before, after }]) => ({
+        path,
+        before,
+        after,
+        diff: createUnifiedDiff(before, after, path)
+      })),
+      logEntries: this.logEntries,
+      backlogUpdates: this.backlogUpdates
+    };
+  }
+}
+
+/**
+ * Get the proposals directory of a project
+ */
+export function getProposalsDir(projectPath) {
+  return join(projectPath, PLAN_BUILD_TEST_DIR, PROPOSALS_DIRNAME);
+}
+
+/**
+ * List saved proposals, oldest first
+ * @returns {Array<Object>} Proposal records
+ */
+export function listProposals(projectPath) {
+  const dir = getProposalsDir(projectPath);
+  if (!existsSync(dir)) return [];
+  
+  return readdirSync(dir)
+    .filter(file => /^\d+\.json$/.test(file))
+    .map(file => readJsonFile(join(dir, file)))
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Load a saved proposal
+ * @returns {Object|null} Proposal record or null if not found
+ */
+export function loadProposal(projectPath, id) {
+  return readJsonFile(join(getProposalsDir(projectPath), `${parseInt(id)}.json`));
+}
+
+/**
+ * Save a proposal record under the next free id
+ * @returns {Object} The saved record
+ */
+export function saveProposal(projectPath, proposal) {
+  const record = proposal.id ? proposal : {
+    id: Math.max(0, ...listProposals(projectPath).map(p => p.id)) + 1,
+    ...proposal.toJSON()
+  };
+  writeJsonFile(join(getProposalsDir(projectPath), `${record.id}.json`), record);
+  return record;
+}
+
+/**
+ * Print the colored diff of every file in a proposal record
+ */
+export function printProposal(record) {
+  Logger.section(`Proposal #${record.id}: ${record.files.length} file(s) would change`, '📝');
+  
+  record.files.forEach(file => {
+    console.log(colorizeDiff(file.diff || `(no changes to ${file.path})`));
+    console.log(''); // Empty line
+  });
+  
+  record.backlogUpdates.forEach(update => {
+    Logger.info(`Backlog #${update.backlogId} would be marked ${update.status}`);
+  });
+}
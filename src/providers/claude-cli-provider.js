@@ -0,0 +1,87 @@
+import { spawn } from 'child_process';
+import { CLAUDE_TIMEOUT } from '../config.js';
+
+/**
+ * Provider that pipes the prompt to the Claude CLI (`claude -p`)
+ * @param {Object} options - Provider options
+ * @param {string} options.command - CLI executable (default: 'claude')
+ * @param {string[]} options.args - CLI arguments (default: ['-p'])
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {{name: string, complete: Function}}
+ */
+export function createClaudeCliProvider(options = {}) {
+  const {
+    command = 'claude',
+    args = ['-p'],
+    timeout = CLAUDE_TIMEOUT
+  } = options;
+  
+  return {
+    name: 'claude-cli',
+    
+    async complete(prompt) {
+      const { stdout } = await runCliProcess(command, args, prompt, timeout);
+      return { text: stdout };
+    },
+    
+    manualRetryHint(promptFile) {
+      return `cat "${promptFile}" | ${[command, ...args].join(' ')}`;
+    }
+  };
+}
+
+/**
+ * Run the CLI process with the prompt on stdin
+ */
+function runCliProcess(command, args, promptContent, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    
+    const cliProcess = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    // Set timeout
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      cliProcess.kill('SIGTERM');
+    }, timeoutMs);
+    
+    // Send the prompt content to stdin
+    cliProcess.stdin.write(promptContent);
+    cliProcess.stdin.end();
+    
+    // Collect output
+    cliProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    cliProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    // Wait for process to complete
+    cliProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      
+      if (timedOut) {
+        reject(new Error(`Claude process timed out after ${timeoutMs / 1000} seconds`));
+      } else if (code !== 0) {
+        const error = new Error(`Claude process exited with code ${code}`);
+        error.code = code;
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+    
+    cliProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
@@ -0,0 +1,56 @@
+import { postJson } from './http-utils.js';
+import { CLAUDE_TIMEOUT } from '../config.js';
+
+/**
+ * Provider for an HTTP Messages-style endpoint (POST /v1/messages)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (default: ANTHROPIC_BASE_URL or https://api.anthropic.com)
+ * @param {string} options.apiKey - API key (default: ANTHROPIC_API_KEY)
+ * @param {string} options.model - Model name (default: LLM_MODEL)
+ * @param {number} options.maxTokens - Maximum response tokens (default: 8192)
+ * @param {string} options.apiVersion - Value for the anthropic-version header
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {{name: string, complete: Function}}
+ */
+export function createHttpMessagesProvider(options = {}) {
+  const {
+    baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    model = process.env.LLM_MODEL,
+    maxTokens = 8192,
+    apiVersion = '2023-06-01',
+    timeout = CLAUDE_TIMEOUT
+  } = options;
+  
+  if (!model) {
+    throw new Error('http-messages provider requires a model (set llm.options.model or LLM_MODEL)');
+  }
+  
+  return {
+    name: 'http-messages',
+    
+    async complete(prompt) {
+      const headers = { 'anthropic-version': apiVersion };
+      if (apiKey) headers['x-api-key'] = apiKey;
+      
+      const json = await postJson(`${baseUrl.replace(/\/$/, '')}/v1/messages`, {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      }, headers, timeout);
+      
+      const text = (json.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      
+      return {
+        text,
+        usage: json.usage ? {
+          inputTokens: json.usage.input_tokens,
+          outputTokens: json.usage.output_tokens
+        } : null
+      };
+    }
+  };
+}
@@ -0,0 +1,53 @@
+import { CLAUDE_TIMEOUT } from '../config.js';
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * Errors carry `status`, `retryable` and the raw response body in `stderr`
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>}
+ */
+export async function postJson(url, body, headers = {}, timeout = CLAUDE_TIMEOUT) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request to ${url} timed out after ${timeout / 1000} seconds`);
+    }
+    const wrapped = new Error(`Request to ${url} failed: ${error.cause?.message || error.message}`);
+    wrapped.code = error.cause?.code;
+    wrapped.retryable = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'].includes(error.cause?.code);
+    throw wrapped;
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  const text = await response.text();
+  
+  if (!response.ok) {
+    const error = new Error(`Request to ${url} failed with status ${response.status}`);
+    error.status = response.status;
+    error.stderr = text;
+    error.retryable = response.status === 429 || response.status >= 500;
+    throw error;
+  }
+  
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error(`Invalid JSON response from ${url}`);
+    error.stdout = text;
+    throw error;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * LLM provider registry
+ * Every agent call goes through a provider with the contract
+ *   complete(prompt, { role, roleKey }) => Promise<{ text: string, usage?: { inputTokens, outputTokens } }>
+ * Providers are selected per project (plan-build-test/config.json "llm") or per
+ * agent role ("llm.roles"), falling back to LLM_PROVIDER and then the Claude CLI.
+ */
+
+import { DEFAULT_LLM_PROVIDER } from '../config.js';
+import { createClaudeCliProvider } from './claude-cli-provider.js';
+import { createHttpMessagesProvider } from './http-messages-provider.js';
+import { createOpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { createScriptedProvider } from './scripted-provider.js';
+
+// Provider instances are cached so stateful providers (scripted) persist across calls
+const providerCache = new Map();
+
+const PROVIDER_FACTORIES = new Map([
+  ['claude-cli', createClaudeCliProvider],
+  ['http-messages', createHttpMessagesProvider],
+  ['openai-compatible', createOpenAICompatibleProvider],
+  ['scripted', createScriptedProvider]
+]);
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name used in config
+ * @param {Function} factory - (options) => provider
+ */
+export function registerProvider(name, factory) {
+  PROVIDER_FACTORIES.set(name, factory);
+  providerCache.clear();
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Array.from(PROVIDER_FACTORIES.keys());
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider options
+ * @returns {{name: string, complete: Function}}
+ */
+export function createProvider(name, options = {}) {
+  const factory = PROVIDER_FACTORIES.get(name);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Convert an agent role ("Refactor Analyst") to its config key ("refactor-analyst")
+ * @param {string} role - Agent role
+ * @returns {string}
+ */
+export function getRoleKey(role = '') {
+  return role.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Resolve provider name and options for an agent role
+ * @param {string} role - Agent role
+ * @param {Object} projectConfig - Project config (from ProjectState.getConfig)
+ * @returns {{name: string, options: Object}}
+ */
+export function resolveProviderSettings(role, projectConfig = {}) {
+  const llm = projectConfig.llm || {};
+  const roleSettings = llm.roles?.[getRoleKey(role)] || llm.roles?.[role] || {};
+  
+  const name = roleSettings.provider || llm.provider || DEFAULT_LLM_PROVIDER;
+  // Project-level options only apply when the role uses the project provider
+  const baseOptions = (!roleSettings.provider || roleSettings.provider === llm.provider) ? llm.options : {};
+  
+  return {
+    name,
+    options: { ...baseOptions, ...roleSettings.options }
+  };
+}
+
+/**
+ * Get the provider for an agent role
+ * @param {string} role - Agent role
+ * @param {Object} projectConfig - Project config
+ * @returns {{name: string, complete: Function}}
+ */
+export function getProviderForRole(role, projectConfig = {}) {
+  const { name, options } = resolveProviderSettings(role, projectConfig);
+  const cacheKey = `${name}:${JSON.stringify(options)}`;
+  
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, createProvider(name, options));
+  }
+  return providerCache.get(cacheKey);
+}
@@ -0,0 +1,50 @@
+import { postJson } from './http-utils.js';
+import { CLAUDE_TIMEOUT } from '../config.js';
+
+/**
+ * Provider for an OpenAI-compatible chat completions server
+ * (local model servers such as Ollama, llama.cpp, vLLM or LM Studio)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL including /v1 (default: OPENAI_BASE_URL or http://localhost:11434/v1)
+ * @param {string} options.apiKey - Optional bearer token (default: OPENAI_API_KEY)
+ * @param {string} options.model - Model name (default: LLM_MODEL)
+ * @param {number} options.temperature - Sampling temperature (optional)
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {{name: string, complete: Function}}
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const {
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.LLM_MODEL,
+    temperature,
+    timeout = CLAUDE_TIMEOUT
+  } = options;
+  
+  if (!model) {
+    throw new Error('openai-compatible provider requires a model (set llm.options.model or LLM_MODEL)');
+  }
+  
+  return {
+    name: 'openai-compatible',
+    
+    async complete(prompt) {
+      const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+      const body = {
+        model,
+        messages: [{ role: 'user', content: prompt }]
+      };
+      if (temperature !== undefined) body.temperature = temperature;
+      
+      const json = await postJson(`${baseUrl.replace(/\/$/, '')}/chat/completions`, body, headers, timeout);
+      
+      return {
+        text: json.choices?.[0]?.message?.content || '',
+        usage: json.usage ? {
+          inputTokens: json.usage.prompt_tokens,
+          outputTokens: json.usage.completion_tokens
+        } : null
+      };
+    }
+  };
+}
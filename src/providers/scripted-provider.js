@@ -0,0 +1,38 @@
+import { readJsonFile } from '../file-utils.js';
+
+/**
+ * Provider that serves canned responses instead of calling a model
+ * Responses are given inline or in a JSON file, either as an array served
+ * in order or as an object keyed by role ("coder", "architect", ...) with
+ * a "*" fallback list.
+ * @param {Object} options - Provider options
+ * @param {Array|Object} options.responses - Inline responses
+ * @param {string} options.file - Path to a JSON file with responses
+ * @returns {{name: string, complete: Function}}
+ */
+export function createScriptedProvider(options = {}) {
+  const script = options.responses || (options.file && readJsonFile(options.file));
+  
+  if (!script) {
+    throw new Error('scripted provider requires "responses" or a readable "file"');
+  }
+  
+  const queues = Array.isArray(script) ? { '*': [...script] } : Object.fromEntries(
+    Object.entries(script).map(([role, responses]) => [role, [...[].concat(responses)]])
+  );
+  
+  return {
+    name: 'scripted',
+    
+    async complete(prompt, { role, roleKey } = {}) {
+      // Fall back to the next list once a role's own list runs out
+      const queue = [queues[roleKey], queues[role], queues['*']].find(q => q && q.length > 0);
+      
+      if (!queue) {
+        throw new Error(`Scripted provider has no response left for ${role}`);
+      }
+      
+      return { text: queue.shift() };
+    }
+  };
+}
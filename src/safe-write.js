@@ -0,0 +1,145 @@
+/**
+ * Confined writes for agent-supplied file paths
+ * Every file an agent asks to write is resolved against the project root;
+ * paths escaping the root (../, absolute paths elsewhere, symlinks) and paths
+ * inside protected directories are rejected and logged as security events.
+ */
+
+import { existsSync, realpathSync, writeFileSync } from 'fs';
+import { dirname, isAbsolute, relative, resolve, sep } from 'path';
+import { ensureDir } from './file-utils.js';
+import { Logger } from './logger.js';
+import { PLAN_BUILD_TEST_DIR } from './config.js';
+
+// Top-level directories agents may never write into
+export const PROTECTED_DIRS = ['.git', 'node_modules', PLAN_BUILD_TEST_DIR];
+
+/**
+ * Error for an agent path that resolves outside the allowed area
+ */
+export class UnsafePathError extends Error {
+  constructor(agentPath, reason) {
+    super(`Refused to write "${agentPath}": ${reason}`);
+    this.name = 'UnsafePathError';
+    this.agentPath = agentPath;
+    this.reason = reason;
+  }
+}
+
+// Resolve symlinks of the deepest existing ancestor so links cannot escape the root
+function realpathOfExistingAncestor(path) {
+  let current = path;
+  while (!existsSync(current)) {
+    const parent = dirname(current);
+    if (parent === current) return current;
+    current = parent;
+  }
+  return resolve(realpathSync(current), relative(current, path));
+}
+
+/**
+ * Resolve an agent-supplied path and confine it to the project root
+ * @param {string} projectPath - Project root
+ * @param {string} agentPath - Relative or absolute path from an agent
+ * @returns {{fullPath: string, relativePath: string}}
+ */
+export function resolveSafePath(projectPath, agentPath) {
+  if (typeof agentPath !== 'string' || agentPath.trim() === '') {
+    throw new UnsafePathError(String(agentPath), 'empty path');
+  }
+  if (agentPath.includes('\0')) {
+    throw new UnsafePathError(agentPath, 'path contains a null byte');
+  }
+  
+  const root = resolve(projectPath);
+  const fullPath = resolve(root, agentPath);
+  const relativePath = relative(root, fullPath);
+  
+  if (relativePath === '' || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    throw new UnsafePathError(agentPath, 'path is outside the project');
+  }
+  
+  const segments = relativePath.split(sep);
+  if (PROTECTED_DIRS.includes(segments[0])) {
+    throw new UnsafePathError(agentPath, `writes into ${segments[0]}/ are not allowed`);
+  }
+  if (segments.includes('.git')) {
+    throw new UnsafePathError(agentPath, 'writes into .git/ are not allowed');
+  }
+  
+  const realRelative = relative(realpathSync(root), realpathOfExistingAncestor(fullPath));
+  if (realRelative.startsWith('..') || isAbsolute(realRelative)) {
+    throw new UnsafePathError(agentPath, 'path escapes the project through a symlink');
+  }
+  
+  return { fullPath, relativePath: relativePath.split(sep).join('/') };
+}
+
+/**
+ * Log a rejected write as a security event
+ * @param {ProjectState} projectState - Project state
+ * @param {UnsafePathError} error - The rejection
+ * @param {string} source - Agent or command that asked for the write
+ */
+export function logRejectedWrite(projectState, error, source) {
+  Logger.warning(`SECURITY: ${error.message}`, true);
+  projectState.appendTextLog(`SECURITY: ${source} - ${error.message}`);
+  projectState.appendLog({
+    action: 'SECURITY_WRITE_REJECTED',
+    source,
+    path: error.agentPath,
+    reason: error.reason
+  });
+}
+
+/**
+ * Split agent file entries into safe ones and rejected ones (rejections are logged)
+ * @param {ProjectState} projectState - Project state
+ * @param {Array<{path: string}>} files - Agent file entries
+ * @param {string} source - Agent or command that produced them
+ * @returns {Array} Safe entries, with paths normalized relative to the project
+ */
+export function filterSafeFiles(projectState, files, source) {
+  return files.flatMap(file => {
+    try {
+      const { relativePath } = resolveSafePath(projectState.projectPath, file.path);
+      return [{ ...file, path: relativePath }];
+    } catch (error) {
+      if (!(error instanceof UnsafePathError)) throw error;
+      logRejectedWrite(projectState, error, source);
+      return [];
+    }
+  });
+}
+
+/**
+ * Write an agent-supplied file, confined to the project root
+ * @param {ProjectState} projectState - Project state
+ * @param {string} agentPath - Path from the agent
+ * @param {string} content - File content
+ * @param {string} source - Agent or command requesting the write
+ * @returns {{written: boolean, proposed?: boolean, relativePath: string|null, existed: boolean}}
+ */
+export function safeWriteFile(projectState, agentPath, content, source) {
+  let resolved;
+  try {
+    resolved = resolveSafePath(projectState.projectPath, agentPath);
+  } catch (error) {
+    if (!(error instanceof UnsafePathError)) throw error;
+    logRejectedWrite(projectState, error, source);
+    return { written: false, relativePath: null, existed: false };
+  }
+  
+  const existed = existsSync(resolved.fullPath) || projectState.proposal?.getContent(resolved.relativePath) !== undefined;
+  
+  // Dry run: capture the change for the proposal instead of writing it
+  if (projectState.proposal) {
+    projectState.proposal.recordWrite(resolved.relativePath, resolved.fullPath, content);
+    return { written: true, proposed: true, relativePath: resolved.relativePath, existed };
+  }
+  
+  ensureDir(resolved.fullPath);
+  writeFileSync(resolved.fullPath, content);
+  
+  return { written: true, relativePath: resolved.relativePath, existed };
+}
@@ -1,3 +1,42 @@
+/**
+ * Apply a TASKS_EDITED log entry (interactive task review) to reconstructed tasks
+ * The edited list defines membership and build order; status comes from the logs.
+ * @param {Array} tasks - Tasks reconstructed from CREATE_TASK/ARCHITECT_COMPLETE entries
+ * @param {Object|null} editEntry - Latest TASKS_EDITED entry for these tasks
+ * @param {Set<number>} completedTaskNumbers - Task numbers with a COMPLETE_TASK entry
+ * @returns {Array} Tasks in reviewed order
+ */
+export function applyTaskEdits(tasks, editEntry, completedTaskNumbers) {
+  if (!editEntry) return tasks;
+  
+  return editEntry.tasks.map(edited => {
+    const original = tasks.find(t => t.taskNumber === edited.taskNumber) || {};
+    return {
+      ...original,
+      taskNumber: edited.taskNumber,
+      description: edited.description,
+      test: edited.test || original.test || 'verify manually',
+      status: completedTaskNumbers.has(edited.taskNumber) ? 'completed' : 'pending',
+      ...(editEntry.requirement ? { requirement: original.requirement || editEntry.requirement } : {})
+    };
+  });
+}
+
+/**
+ * Turn the Architect's task ids into task numbers
+ * Sets dependsOn on each task from its plan dependencies; dependencies on
+ * unknown ids or on later tasks are dropped since they can't be waited for.
+ * @param {Array} tasks - Numbered tasks with plan id and dependencies
+ */
+export function linkTaskDependencies(tasks) {
+  const numbers = new Map(tasks.map(task => [task.id, task.taskNumber]));
+  tasks.forEach(task => {
+    task.dependsOn = (task.dependencies || [])
+      .map(id => numbers.get(id))
+      .filter(number => number && number < task.taskNumber);
+  });
+}
+
 /**
  * TaskManager class for handling task reconstruction and management
  */
@@ -26,10 +65,12 @@ export class TaskManager {
       }
     }
     
-    // Collect completed task numbers
+    // Collect completed task numbers (rolled back tasks are pending again)
     log.forEach(entry => {
       if (entry.action === 'COMPLETE_TASK') {
         completedTaskNumbers.add(entry.taskNumber);
+      } else if (entry.action === 'ROLLBACK') {
+        entry.revertedTasks.forEach(number => completedTaskNumbers.delete(number));
       }
     });
     
@@ -54,6 +95,8 @@ export class TaskManager {
               taskNumber: entry.taskNumber,
               description: entry.description,
               test: entry.testCommand || 'npm test',
+              dependsOn: entry.dependsOn || [],
+              files: entry.files || [],
               status: completedTaskNumbers.has(entry.taskNumber) ? 'completed' : 'pending',
               requirement: requirement || entry.requirement
             });
@@ -63,7 +106,13 @@ export class TaskManager {
       });
     }
     
-    return tasks.sort((a, b) => a.taskNumber - b.taskNumber);
+    tasks.sort((a, b) => a.taskNumber - b.taskNumber);
+    
+    // Honor the latest interactive review of this plan
+    const editEntry = log.slice(lastArchitectIndex + 1).reverse().find(entry =>
+      entry.action === 'TASKS_EDITED' && (!requirement || entry.requirement === requirement)
+    );
+    return applyTaskEdits(tasks, editEntry, completedTaskNumbers);
   }
   
   /**
@@ -236,7 +236,7 @@ export function createPrompts() {
       }) || getInlineTemplate('coder', { requirement: req, task, allFiles });
     },
     
-    finalTest: (req, projectPath, architectPlan = null, implementationFiles = null) => {
+    finalTest: (req, projectPath, architectPlan = null, implementationFiles = null, acceptanceCriteria = []) => {
       let template = loadTemplate('tester') || getInlineTemplate('tester', { requirement: req });
       
       if (architectPlan && architectPlan.final_validation) {
@@ -245,10 +245,15 @@ export function createPrompts() {
       }
       
       if (implementationFiles) {
-        const implSection = `\n\nActual Implementation Files:\n${implementationFiles}\n\nIMPORTANT: Write tests that match the ACTUAL implementation above, not just the requirements.`;
+        const implSection = `\n\nActual Implementation Files:\n${implementationFiles}\n\nIMPORTANT: Write tests that match the ACTUAL implementation above, not just the requirements. Only use element ids, CSS classes and routes listed in the code map.`;
         template = template.replace('Do NOT use any tools.', implSection + '\n\nDo NOT use any tools.');
       }
       
+      if (acceptanceCriteria.length > 0) {
+        const criteriaSection = `\n\nAcceptance Criteria:\n${acceptanceCriteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}\n\nIMPORTANT: Every acceptance criterion needs at least one test. List the numbers of the criteria each test case checks in its "criteria" field; the test names in the code must match the test case names exactly.`;
+        template = template.replace('Do NOT use any tools.', criteriaSection + '\n\nDo NOT use any tools.');
+      }
+      
       return processTemplate(template, { requirement: req });
     },
     
@@ -73,16 +73,18 @@ export function ensurePlaywrightConfig(projectPath) {
   if (!existsSync(playwrightPath)) {
     const configContent = `import { defineConfig } from '@playwright/test';
 
+const PORT = process.env.PORT || ${DEFAULT_PORT};
+
 export default defineConfig({
   testDir: './test',
   timeout: 30000,
   use: {
-    baseURL: 'http://localhost:${DEFAULT_PORT}/plan-build-test',
+    baseURL: \`http://localhost:\${PORT}/plan-build-test\`,
     trace: 'on-first-retry',
   },
   webServer: {
     command: 'npm start',
-    port: ${DEFAULT_PORT},
+    port: Number(PORT),
     reuseExistingServer: !process.env.CI,
     timeout: 10000,
     stderr: 'pipe',
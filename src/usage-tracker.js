@@ -0,0 +1,116 @@
+/**
+ * Model usage accounting
+ * Every agent call is logged to logs.json as an AGENT_CALL entry; these
+ * helpers estimate token counts and roll the entries up per role, task,
+ * backlog and project.
+ */
+
+import { formatDuration } from './console-utils.js';
+
+// Rough average for English text and code
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Build the usage fields for an AGENT_CALL log entry
+ * Uses provider-reported counts when available, estimates otherwise
+ * @param {string} prompt - Prompt sent
+ * @param {string} response - Response received
+ * @param {Object|null} reportedUsage - { inputTokens, outputTokens } from the provider
+ * @param {number} durationMs - Elapsed time of the call
+ * @returns {Object} Usage fields
+ */
+export function buildUsageRecord(prompt, response, reportedUsage, durationMs) {
+  const hasReported = reportedUsage && Number.isFinite(reportedUsage.inputTokens);
+  const inputTokens = hasReported ? reportedUsage.inputTokens : estimateTokens(prompt);
+  const outputTokens = hasReported ? (reportedUsage.outputTokens || 0) : estimateTokens(response);
+  
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    tokensEstimated: !hasReported,
+    durationMs
+  };
+}
+
+function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, durationMs: 0, estimated: false };
+}
+
+function addToUsage(usage, entry) {
+  usage.calls++;
+  usage.inputTokens += entry.inputTokens || 0;
+  usage.outputTokens += entry.outputTokens || 0;
+  usage.totalTokens += entry.totalTokens || 0;
+  usage.durationMs += entry.durationMs || 0;
+  usage.estimated = usage.estimated || Boolean(entry.tokensEstimated);
+}
+
+/**
+ * Get AGENT_CALL entries from a log, optionally filtered
+ * @param {Array} log - logs.json entries
+ * @param {Function} filter - Optional entry filter
+ * @returns {Array} Agent call entries
+ */
+export function getAgentCalls(log, filter = () => true) {
+  return log.filter(entry => entry.action === 'AGENT_CALL' && filter(entry));
+}
+
+/**
+ * Roll up agent usage from log entries
+ * @param {Array} log - logs.json entries
+ * @returns {{total: Object, byRole: Object, byTask: Object, byBacklog: Object}}
+ */
+export function summarizeUsage(log) {
+  const summary = { total: emptyUsage(), byRole: {}, byTask: {}, byBacklog: {} };
+  
+  getAgentCalls(log).forEach(entry => {
+    addToUsage(summary.total, entry);
+    
+    summary.byRole[entry.role] = summary.byRole[entry.role] || emptyUsage();
+    addToUsage(summary.byRole[entry.role], entry);
+    
+    if (entry.taskNumber) {
+      summary.byTask[entry.taskNumber] = summary.byTask[entry.taskNumber] || emptyUsage();
+      addToUsage(summary.byTask[entry.taskNumber], entry);
+    }
+    
+    if (entry.backlogId) {
+      summary.byBacklog[entry.backlogId] = summary.byBacklog[entry.backlogId] || emptyUsage();
+      addToUsage(summary.byBacklog[entry.backlogId], entry);
+    }
+  });
+  
+  return summary;
+}
+
+/**
+ * Format a token count for display (e.g. 12345 -> "12.3k")
+ * @param {number} tokens - Token count
+ * @returns {string}
+ */
+export function formatTokens(tokens) {
+  if (tokens < 1000) return String(tokens);
+  if (tokens < 1000000) return `${(tokens / 1000).toFixed(1)}k`;
+  return `${(tokens / 1000000).toFixed(2)}M`;
+}
+
+/**
+ * Format a usage rollup for display
+ * @param {Object} usage - Usage rollup
+ * @returns {string} e.g. "4 calls, ~12.3k tokens, 1m 5s"
+ */
+export function formatUsage(usage) {
+  if (!usage || usage.calls === 0) return 'no agent calls';
+  const approx = usage.estimated ? '~' : '';
+  return `${usage.calls} call${usage.calls === 1 ? '' : 's'}, ${approx}${formatTokens(usage.totalTokens)} tokens, ${formatDuration(usage.durationMs)}`;
+}
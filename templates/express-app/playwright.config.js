@@ -1,5 +1,8 @@
 import { defineConfig } from '@playwright/test';
 
+// The orchestrator sets PORT when several copies of the project are tested at once
+const PORT = process.env.PORT || 3000;
+
 export default defineConfig({
   testDir: './test',
   timeout: 3000, // 3 seconds is enough for these tests
@@ -9,14 +12,14 @@ export default defineConfig({
   retries: 0, // No retries to fail fast
   reporter: [['list', { printSteps: false }]], // Simpler output
   use: {
-    baseURL: 'http://localhost:3000/plan-build-test',
+    baseURL: `http://localhost:${PORT}/plan-build-test`,
     trace: 'on-first-retry',
     actionTimeout: 2000, // 2 seconds for actions
     navigationTimeout: 3000, // 3 seconds for navigation
   },
   webServer: {
     command: 'node scripts/start-test-server.js',
-    port: 3000,
+    port: Number(PORT),
     reuseExistingServer: false,
     timeout: 15000,
     stderr: 'pipe',
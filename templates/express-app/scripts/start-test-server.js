@@ -28,8 +28,8 @@ async function killProcessOnPort(port) {
 }
 
 async function startServer() {
-  // Kill any existing process on port 3000
-  await killProcessOnPort(3000);
+  // Kill any existing process on the server port
+  await killProcessOnPort(process.env.PORT || 3000);
   
   // Start the server
   console.log('Starting server...');